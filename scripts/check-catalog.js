@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Check a command catalog for errors and contradictions
+ *
+ * Usage:
+ *   npm run check-catalog                       # built-in commands
+ *   npm run check-catalog -- path/commands.json # a user catalog
+ *   npm run check-catalog -- --strict           # fail on warnings too
+ *
+ * Exits with 1 if the catalog is invalid, if any FALSE_POSITIVE_SAMPLES
+ * sentence would trigger a command, or on any warning in strict mode.
+ * `npm test` runs it on the built-in catalog.
+ */
+
+const path = require('path');
+const catalog = require('../src/catalog');
+const keyboard = require('../src/keyboard');
+const { checkCatalog } = require('../src/checker');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const filePath = args.find((arg) => !arg.startsWith('--'));
+
+let commands = catalog.DEFAULT_COMMANDS;
+
+if (filePath) {
+  const result = catalog.loadCatalog(path.resolve(filePath), keyboard.isValidKeySpec);
+
+  if (!result.commands) {
+    console.error(`\n${filePath} is invalid:`);
+    result.errors.forEach((error) => console.error(`  ✗ ${error}`));
+    process.exit(1);
+  }
+
+  commands = result.commands;
+}
+
+const warnings = checkCatalog(commands, { keyCodes: keyboard.APPLESCRIPT_KEY_CODES });
+
+console.log(`\nChecked ${commands.length} commands from ${filePath || 'the built-in catalog'}`);
+
+if (warnings.length === 0) {
+  console.log('  ✓ No problems found');
+} else {
+  warnings.forEach((warning) => console.log(`  ⚠ [${warning.type}] ${warning.message}`));
+  console.log(`\n${warnings.length} warning(s)`);
+}
+
+const falsePositives = warnings.filter((warning) => warning.type === 'false-positive');
+
+if (falsePositives.length > 0) {
+  console.error(`\n✗ ${falsePositives.length} sentence(s) that must never match a command did`);
+}
+
+process.exit(falsePositives.length > 0 || (strict && warnings.length > 0) ? 1 : 0);
@@ -0,0 +1,155 @@
+/**
+ * Autostart Module
+ *
+ * Starts the app when the user logs in. macOS and Windows use the system
+ * login items; Linux uses an XDG autostart entry in ~/.config/autostart.
+ */
+
+const { app } = require('electron');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Command line flag passed when started by an XDG autostart entry
+ * (and by Windows login items)
+ */
+const AUTOSTART_ARG = '--autostart';
+
+/**
+ * Name of the XDG autostart entry
+ */
+const DESKTOP_FILE_NAME = 'zwift-voice-control.desktop';
+
+/**
+ * Check whether autostart works on this platform
+ * @returns {boolean}
+ */
+function isAutostartSupported() {
+  return ['darwin', 'win32', 'linux'].includes(process.platform);
+}
+
+/**
+ * Path of the XDG autostart entry
+ * @returns {string}
+ */
+function getDesktopFilePath() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'autostart', DESKTOP_FILE_NAME);
+}
+
+/**
+ * Quote an argument for the Exec key of a desktop entry
+ * Exec values are unescaped as strings before they are unquoted, so the
+ * quoting backslash is itself escaped.
+ * @param {string} arg
+ * @returns {string}
+ */
+function quoteExecArg(arg) {
+  return `"${arg.replace(/(["`$\\])/g, '\\\\$1').replace(/%/g, '%%')}"`;
+}
+
+/**
+ * Build the command that starts this app
+ * AppImages must be started through the AppImage, not the extracted binary,
+ * and unpackaged builds need the app directory after the Electron binary.
+ * @returns {Array} - Executable followed by its arguments
+ */
+function getLaunchCommand() {
+  if (process.env.APPIMAGE) {
+    return [process.env.APPIMAGE, AUTOSTART_ARG];
+  }
+
+  return app.isPackaged
+    ? [process.execPath, AUTOSTART_ARG]
+    : [process.execPath, app.getAppPath(), AUTOSTART_ARG];
+}
+
+/**
+ * Build the XDG autostart entry
+ * @returns {string} - Desktop file contents
+ */
+function buildDesktopEntry() {
+  return [
+    '[Desktop Entry]',
+    'Type=Application',
+    `Name=${app.getName()}`,
+    'Comment=Voice control for Zwift',
+    `Exec=${getLaunchCommand().map(quoteExecArg).join(' ')}`,
+    'Terminal=false',
+    'X-GNOME-Autostart-enabled=true',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Check whether the app is set to start at login
+ * @returns {boolean}
+ */
+function isAutostartEnabled() {
+  if (process.platform === 'linux') {
+    return fs.existsSync(getDesktopFilePath());
+  }
+
+  if (isAutostartSupported()) {
+    return app.getLoginItemSettings().openAtLogin;
+  }
+
+  return false;
+}
+
+/**
+ * Turn starting at login on or off
+ * @param {boolean} enabled
+ * @returns {object} - { success, enabled, error }
+ */
+function setAutostart(enabled) {
+  if (!isAutostartSupported()) {
+    return { success: false, enabled: false, error: `Launch at startup is not supported on ${process.platform}` };
+  }
+
+  try {
+    if (process.platform === 'linux') {
+      const filePath = getDesktopFilePath();
+      if (enabled) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, buildDesktopEntry());
+      } else if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } else {
+      app.setLoginItemSettings({
+        openAtLogin: enabled,
+        openAsHidden: true,  // macOS: stay in the menu bar
+        args: [AUTOSTART_ARG] // Windows only
+      });
+    }
+
+    console.log(`Launch at startup ${enabled ? 'enabled' : 'disabled'}`);
+    return { success: true, enabled: isAutostartEnabled() };
+  } catch (error) {
+    console.error('Could not change launch at startup:', error.message);
+    return { success: false, enabled: isAutostartEnabled(), error: error.message };
+  }
+}
+
+/**
+ * Check whether this run was started at login
+ * @returns {boolean}
+ */
+function wasLaunchedAtLogin() {
+  if (process.platform === 'darwin') {
+    return app.getLoginItemSettings().wasOpenedAtLogin === true;
+  }
+
+  return process.argv.includes(AUTOSTART_ARG);
+}
+
+module.exports = {
+  isAutostartSupported,
+  isAutostartEnabled,
+  setAutostart,
+  wasLaunchedAtLogin,
+  buildDesktopEntry,
+  AUTOSTART_ARG
+};
@@ -0,0 +1,947 @@
+/**
+ * Command Catalog Module
+ *
+ * Owns the voice command definitions. The built-in set is always the base;
+ * the user catalog (commands.json in the app's user data directory) only
+ * holds the user's changes to it - edited built-ins, their own commands and
+ * deleted built-ins - so later changes to the built-ins still reach users
+ * who have customised something. It is applied once the result passes
+ * validation, and reloaded when the file changes on disk.
+ * No Electron dependencies, so scripts can load it too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeCommands } = require('./matcher');
+
+/**
+ * Built-in voice command definitions with priority ordering
+ * PRIORITY 1: Racing commands (most valuable to competitive riders)
+ * PRIORITY 2: Training commands
+ * PRIORITY 3: Convenience commands
+ *
+ * `inverse` is the key that reverses a command for "undo"; commands with an
+ * `action` instead of a `key` act on earlier commands rather than Zwift.
+ * `action: 'hold'` commands keep their `key` down for `holdMs` (or for a
+ * spoken "for 3 seconds").
+ * `cooldownMs` stops a command firing again too soon (a second power-up or
+ * u-turn is worse than none); `minGapMs` makes its key wait at least that
+ * long after the previous key, on top of the global rate limit. `coalesce`
+ * commands (emotes) aren't queued again while their key is still waiting.
+ * Catalog files also give each command an `id` and an `enabled` flag.
+ */
+const DEFAULT_COMMANDS = [
+  // PRIORITY 1 - RACING COMMANDS
+  {
+    phrases: ['elbow flick', 'elbow', 'signal', 'flick', 'elbow flex'],
+    key: '4',
+    keyCode: 21,
+    description: 'Elbow flick signal',
+    coalesce: true,
+    priority: 1
+  },
+  {
+    phrases: ['power up', 'use power up', 'activate', 'powerup', 'power-up', 'use powerup', 'boost'],
+    key: 'space',
+    keyCode: 49,
+    description: 'Use power-up',
+    cooldownMs: 3000,
+    priority: 1
+  },
+  {
+    phrases: ['turn left', 'left', 'go left', 'take left'],
+    key: 'left',
+    keyCode: 123,
+    description: 'Turn left',
+    inverse: 'right',
+    priority: 1
+  },
+  {
+    phrases: ['turn right', 'right', 'go right', 'take right'],
+    key: 'right',
+    keyCode: 124,
+    description: 'Turn right',
+    inverse: 'left',
+    priority: 1
+  },
+  {
+    phrases: ['go straight', 'straight', 'straight on', 'straight ahead'],
+    key: 'up',
+    keyCode: 126,
+    description: 'Go straight',
+    priority: 1
+  },
+  // Camera commands - racing essential
+  {
+    phrases: ['camera 1', 'camera one', 'view 1', 'view one'],
+    key: '1',
+    keyCode: 18,
+    description: 'Camera view 1',
+    priority: 1
+  },
+  {
+    phrases: ['camera 2', 'camera two', 'view 2', 'view two'],
+    key: '2',
+    keyCode: 19,
+    description: 'Camera view 2',
+    priority: 1
+  },
+  {
+    phrases: ['camera 3', 'camera three', 'view 3', 'view three', 'behind view'],
+    key: '3',
+    keyCode: 20,
+    description: 'Camera view 3 (behind)',
+    priority: 1
+  },
+  {
+    phrases: ['camera 4', 'camera four', 'view 4', 'view four'],
+    key: '5',
+    keyCode: 23,
+    description: 'Camera view 4',
+    priority: 1
+  },
+  {
+    phrases: ['camera 5', 'camera five', 'view 5', 'view five'],
+    key: '6',
+    keyCode: 22,
+    description: 'Camera view 5',
+    priority: 1
+  },
+  {
+    phrases: ['camera 6', 'camera six', 'view 6', 'view six'],
+    key: '7',
+    keyCode: 26,
+    description: 'Camera view 6',
+    priority: 1
+  },
+  {
+    phrases: ['camera 7', 'camera seven', 'view 7', 'view seven'],
+    key: '8',
+    keyCode: 28,
+    description: 'Camera view 7',
+    priority: 1
+  },
+  {
+    phrases: ['camera 8', 'camera eight', 'view 8', 'view eight'],
+    key: '9',
+    keyCode: 25,
+    description: 'Camera view 8',
+    priority: 1
+  },
+  {
+    phrases: ['camera 9', 'camera nine', 'view 9', 'view nine', 'drone view', 'drone'],
+    key: '0',
+    keyCode: 29,
+    description: 'Camera view 9 (drone)',
+    priority: 1
+  },
+  // Control commands - act on earlier commands
+  {
+    phrases: ['cancel', 'cancel that', 'abort', 'scratch that'],
+    action: 'cancel',
+    description: 'Cancel pending commands',
+    priority: 1
+  },
+  {
+    phrases: ['undo', 'undo that', 'take that back', 'revert'],
+    action: 'undo',
+    description: 'Undo last command',
+    priority: 1
+  },
+  {
+    phrases: ['release', 'let go', 'stop', 'stop holding', 'stop steering'],
+    action: 'release',
+    description: 'Release held keys',
+    priority: 1
+  },
+
+  // Hold commands - keep a key down ("steer left for 3 seconds")
+  {
+    phrases: ['steer left', 'hold left'],
+    key: 'left',
+    action: 'hold',
+    holdMs: 2000,
+    description: 'Steer left',
+    priority: 1
+  },
+  {
+    phrases: ['steer right', 'hold right'],
+    key: 'right',
+    action: 'hold',
+    holdMs: 2000,
+    description: 'Steer right',
+    priority: 1
+  },
+
+  // PRIORITY 2 - TRAINING COMMANDS
+  {
+    phrases: ['u turn', 'u-turn', 'turn around', 'reverse', 'go back', 'uturn'],
+    key: 'down',
+    keyCode: 125,
+    description: 'U-Turn',
+    cooldownMs: 5000,
+    minGapMs: 1000,
+    priority: 2
+  },
+  {
+    phrases: ['screenshot', 'take picture', 'capture', 'photo', 'take photo', 'snap'],
+    key: 'f10',
+    keyCode: 109,
+    description: 'Take screenshot',
+    priority: 2
+  },
+  {
+    phrases: ['wave', 'say hi', 'hello', 'hi there'],
+    key: '5',
+    keyCode: 23,
+    description: 'Wave',
+    coalesce: true,
+    priority: 2
+  },
+  {
+    phrases: ['ride on', 'rideon', 'ride-on', 'thumbs up'],
+    key: '6',
+    keyCode: 22,
+    description: 'Ride On!',
+    coalesce: true,
+    priority: 2
+  },
+  {
+    phrases: ['hammer', 'hammer time', 'hammertime'],
+    key: '7',
+    keyCode: 26,
+    description: 'Hammer time',
+    coalesce: true,
+    priority: 2
+  },
+  {
+    phrases: ['toast', 'cheers', 'drink'],
+    key: '8',
+    keyCode: 28,
+    description: 'Toast',
+    coalesce: true,
+    priority: 2
+  },
+  {
+    phrases: ['nice', 'nice one', 'good job'],
+    key: '9',
+    keyCode: 25,
+    description: 'Nice!',
+    coalesce: true,
+    priority: 2
+  },
+  {
+    phrases: ['bring it', 'bring it on', 'lets go', "let's go"],
+    key: '0',
+    keyCode: 29,
+    description: 'Bring it!',
+    coalesce: true,
+    priority: 2
+  },
+  {
+    phrases: ['skip', 'skip block', 'next block', 'skip workout'],
+    key: 'tab',
+    keyCode: 48,
+    description: 'Skip workout block',
+    priority: 2
+  },
+  {
+    phrases: ['easier', 'bias down', 'reduce', 'lower'],
+    key: 'pagedown',
+    keyCode: 121,
+    description: 'Decrease difficulty',
+    inverse: 'pageup',
+    priority: 2
+  },
+  {
+    phrases: ['harder', 'bias up', 'increase', 'raise'],
+    key: 'pageup',
+    keyCode: 116,
+    description: 'Increase difficulty',
+    inverse: 'pagedown',
+    priority: 2
+  },
+
+  // PRIORITY 3 - CONVENIENCE
+  {
+    phrases: ['menu', 'show menu', 'customize', 'change gear', 'garage', 'pause'],
+    key: 'escape',
+    keyCode: 53,
+    description: 'Open menu',
+    priority: 3
+  },
+  {
+    phrases: ['panoramic view', 'wide view', 'panoramic', 'pan view'],
+    key: '0',
+    keyCode: 29,
+    description: 'Panoramic view',
+    priority: 3
+  },
+  {
+    phrases: ['graph', 'show graph', 'toggle graph', 'stats'],
+    key: 'g',
+    keyCode: 5,
+    description: 'Toggle graph',
+    inverse: 'g',
+    priority: 3
+  },
+  {
+    phrases: ['hide', 'hide ui', 'clean view', 'minimal'],
+    key: 'h',
+    keyCode: 4,
+    description: 'Hide UI',
+    inverse: 'h',
+    priority: 3
+  },
+  {
+    phrases: ['fan up', 'increase fan', 'more fan'],
+    key: 'pageup',
+    keyCode: 116,
+    description: 'Fan speed up',
+    inverse: 'pagedown',
+    priority: 3
+  },
+  {
+    phrases: ['fan down', 'decrease fan', 'less fan'],
+    key: 'pagedown',
+    keyCode: 121,
+    description: 'Fan speed down',
+    inverse: 'pageup',
+    priority: 3
+  }
+];
+
+/**
+ * Catalog file format version
+ *   1 - a full copy of every command
+ *   2 - only the changes to the built-in commands (see mergeCatalog)
+ */
+const CATALOG_VERSION = 2;
+
+/**
+ * Actions a command may run instead of sending a key
+ */
+const COMMAND_ACTIONS = ['cancel', 'undo', 'release'];
+
+/**
+ * Actions that do something with the command's key
+ */
+const KEY_ACTIONS = ['hold'];
+
+/**
+ * Delay before reloading after a change on disk - editors often write a
+ * file in several steps
+ */
+const RELOAD_DEBOUNCE_MS = 250;
+
+/**
+ * Built-in commands with their ids (from their descriptions)
+ */
+const BUILTIN_COMMANDS = assignIds(DEFAULT_COMMANDS);
+
+/**
+ * State
+ */
+let commands = BUILTIN_COMMANDS;
+let activeCommands = prepareActiveCommands(BUILTIN_COMMANDS);
+let catalogPath = null;
+let keyValidator = null;
+let lastErrors = [];
+let watcher = null;
+let reloadTimer = null;
+
+/**
+ * Build the matcher's view of a command list: enabled commands only, with
+ * phrases normalized like transcripts. The file and editor keep the
+ * phrases as written.
+ * @param {Array} list - Command definitions
+ * @returns {Array}
+ */
+function prepareActiveCommands(list) {
+  return normalizeCommands(list.filter((command) => command.enabled !== false));
+}
+
+/**
+ * Make a validated command list the current one
+ * @param {Array} list - Command definitions
+ */
+function setCommands(list) {
+  commands = list;
+  activeCommands = prepareActiveCommands(list);
+}
+
+/**
+ * Validate a single command definition
+ * @param {object} command - Command definition
+ * @param {number} index - Position in the catalog (for messages)
+ * @param {Function|null} isValidKey - Checks a key spec, or null to skip key checks
+ * @returns {string[]} - Error messages (empty if valid)
+ */
+function validateCommand(command, index, isValidKey) {
+  const errors = [];
+  const label = command && typeof command.description === 'string' && command.description
+    ? `Command ${index + 1} ("${command.description}")`
+    : `Command ${index + 1}`;
+
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return [`${label}: must be an object`];
+  }
+
+  if (!Array.isArray(command.phrases) || command.phrases.length === 0) {
+    errors.push(`${label}: "phrases" must be a non-empty list`);
+  } else if (command.phrases.some((phrase) => typeof phrase !== 'string' || !phrase.trim())) {
+    errors.push(`${label}: every phrase must be non-empty text`);
+  }
+
+  if (typeof command.description !== 'string' || !command.description.trim()) {
+    errors.push(`${label}: "description" must be non-empty text`);
+  }
+
+  if (![1, 2, 3].includes(command.priority)) {
+    errors.push(`${label}: "priority" must be 1, 2 or 3`);
+  }
+
+  const actions = [...COMMAND_ACTIONS, ...KEY_ACTIONS];
+
+  if (command.action !== undefined && !actions.includes(command.action)) {
+    errors.push(`${label}: unknown action "${command.action}" (expected ${actions.join(', ')})`);
+  }
+
+  if (COMMAND_ACTIONS.includes(command.action)) {
+    if (command.key !== undefined) {
+      errors.push(`${label}: "${command.action}" commands don't take a "key"`);
+    }
+  } else if (typeof command.key !== 'string' || !command.key) {
+    errors.push(`${label}: "key" is required`);
+  } else if (isValidKey && !isValidKey(command.key)) {
+    errors.push(`${label}: unknown key "${command.key}"`);
+  }
+
+  if (command.inverse !== undefined && isValidKey && !isValidKey(String(command.inverse))) {
+    errors.push(`${label}: unknown inverse key "${command.inverse}"`);
+  }
+
+  if (command.holdMs !== undefined) {
+    if (command.action !== 'hold') {
+      errors.push(`${label}: "holdMs" only applies to "hold" commands`);
+    } else if (!Number.isInteger(command.holdMs) || command.holdMs <= 0) {
+      errors.push(`${label}: "holdMs" must be a whole number of milliseconds`);
+    }
+  }
+
+  ['cooldownMs', 'minGapMs'].forEach((field) => {
+    if (command[field] === undefined) return;
+
+    if (COMMAND_ACTIONS.includes(command.action)) {
+      errors.push(`${label}: "${field}" only applies to commands that send a key`);
+    } else if (!Number.isInteger(command[field]) || command[field] < 0) {
+      errors.push(`${label}: "${field}" must be a whole number of milliseconds`);
+    }
+  });
+
+  if (command.coalesce !== undefined) {
+    if (COMMAND_ACTIONS.includes(command.action)) {
+      errors.push(`${label}: "coalesce" only applies to commands that send a key`);
+    } else if (typeof command.coalesce !== 'boolean') {
+      errors.push(`${label}: "coalesce" must be true or false`);
+    }
+  }
+
+  if (command.keyCode !== undefined && !Number.isInteger(command.keyCode)) {
+    errors.push(`${label}: "keyCode" must be a whole number`);
+  }
+
+  if (command.id !== undefined && (typeof command.id !== 'string' || !command.id)) {
+    errors.push(`${label}: "id" must be non-empty text`);
+  }
+
+  if (command.enabled !== undefined && typeof command.enabled !== 'boolean') {
+    errors.push(`${label}: "enabled" must be true or false`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed catalog file
+ * Accepts { version, commands: [...] } or a bare list of commands.
+ * @param {*} data - Parsed JSON
+ * @param {Function|null} isValidKey - Checks a key spec, or null to skip key checks
+ * @returns {object} - { commands, errors } - commands is null if invalid
+ */
+function validateCatalog(data, isValidKey = keyValidator) {
+  const list = Array.isArray(data) ? data : data && data.commands;
+
+  if (!Array.isArray(list)) {
+    return { commands: null, errors: ['Catalog must be a list of commands or { "commands": [...] }'] };
+  }
+
+  if (!Array.isArray(data) && data.version !== undefined && data.version > CATALOG_VERSION) {
+    return { commands: null, errors: [`Catalog version ${data.version} is newer than supported (${CATALOG_VERSION})`] };
+  }
+
+  if (list.length === 0) {
+    return { commands: null, errors: ['Catalog has no commands'] };
+  }
+
+  const errors = list.flatMap((command, index) => validateCommand(command, index, isValidKey));
+
+  const ids = list.map((command) => command && command.id).filter(Boolean);
+  const duplicateIds = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicateIds.length > 0) {
+    errors.push(`Duplicate command id(s): ${[...new Set(duplicateIds)].join(', ')}`);
+  }
+
+  return {
+    commands: errors.length === 0 ? assignIds(list) : null,
+    errors
+  };
+}
+
+/**
+ * Turn a description into an id ("Ride On!" → "ride-on")
+ * @param {string} text - Description
+ * @returns {string}
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'command';
+}
+
+/**
+ * Give every command a unique id, keeping the ones it already has
+ * @param {Array} list - Command definitions
+ * @returns {Array} - New list; commands without an id are copied with one
+ */
+function assignIds(list) {
+  const used = new Set(list.map((command) => command.id).filter(Boolean));
+
+  return list.map((command) => {
+    if (command.id) return command;
+
+    const base = slugify(command.description);
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    used.add(id);
+
+    return { ...command, id };
+  });
+}
+
+/**
+ * Find the fields in which a command differs from a built-in one
+ * @param {object} builtIn - Built-in command
+ * @param {object} command - The same command as the user has it
+ * @param {boolean} keepMissing - Leave out fields the command doesn't have,
+ *   rather than clearing them (version 1 copies predate newer fields)
+ * @returns {object} - Changed fields; null clears a built-in field
+ */
+function diffCommand(builtIn, command, keepMissing = false) {
+  const changes = {};
+  const fields = new Set([...Object.keys(builtIn), ...Object.keys(command)]);
+
+  fields.forEach((field) => {
+    const value = command[field];
+
+    if (field === 'id' || (field === 'enabled' && value === true && builtIn.enabled === undefined)) {
+      return;
+    }
+    if (value === undefined) {
+      if (!keepMissing && builtIn[field] !== undefined) {
+        changes[field] = null;
+      }
+      return;
+    }
+    if (JSON.stringify(value) !== JSON.stringify(builtIn[field])) {
+      changes[field] = value;
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Apply a user's changes to a built-in command
+ * @param {object} builtIn - Built-in command
+ * @param {object} changes - Changed fields; null clears a built-in field
+ * @returns {object} - The command as the user has it
+ */
+function applyChanges(builtIn, changes) {
+  const command = { ...builtIn };
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (field === 'id') return;
+
+    if (value === null) {
+      delete command[field];
+    } else {
+      command[field] = value;
+    }
+  });
+
+  return command;
+}
+
+/**
+ * Build the full command list from a parsed catalog file
+ * Entries whose id is a built-in command's change only the fields they
+ * list (null clears one); other entries are the user's own commands, added
+ * after the built-ins. Built-in ids in "removed" are left out. A version 1
+ * file is a full copy, so there each built-in keeps only the fields the
+ * copy has and changed, and built-ins added since are picked up.
+ * @param {*} data - Parsed JSON
+ * @returns {object} - { commands, errors } - commands is null if unusable
+ */
+function mergeCatalog(data) {
+  const list = Array.isArray(data) ? data : data && data.commands;
+
+  if (!Array.isArray(list)) {
+    return { commands: null, errors: ['Catalog must be a list of commands or { "commands": [...] }'] };
+  }
+
+  const version = Array.isArray(data) ? 1 : data.version || 1;
+  if (version > CATALOG_VERSION) {
+    return { commands: null, errors: [`Catalog version ${version} is newer than supported (${CATALOG_VERSION})`] };
+  }
+
+  const removed = version >= 2 && Array.isArray(data.removed) ? data.removed : [];
+  const builtInIds = new Set(BUILTIN_COMMANDS.map((command) => command.id));
+  const isObject = (entry) => entry && typeof entry === 'object' && !Array.isArray(entry);
+
+  // Version 1 copies may lack ids - built-ins got theirs from the description
+  const entries = version === 1 && list.every(isObject) ? assignIds(list) : list;
+
+  const changes = new Map();
+  entries
+    .filter((entry) => isObject(entry) && builtInIds.has(entry.id))
+    .forEach((entry) => {
+      const builtIn = BUILTIN_COMMANDS.find((command) => command.id === entry.id);
+      changes.set(entry.id, version === 1 ? diffCommand(builtIn, entry, true) : entry);
+    });
+
+  return {
+    commands: [
+      ...BUILTIN_COMMANDS
+        .filter((command) => !removed.includes(command.id))
+        .map((command) => (changes.has(command.id) ? applyChanges(command, changes.get(command.id)) : command)),
+      ...entries.filter((entry) => !isObject(entry) || !builtInIds.has(entry.id))
+    ],
+    errors: []
+  };
+}
+
+/**
+ * Work out what to store for a command list: the changes to the built-ins,
+ * the user's own commands and the built-ins that were deleted
+ * @param {Array} list - Command definitions (with ids)
+ * @returns {object} - { version, commands, removed }
+ */
+function getCatalogChanges(list) {
+  const builtInIds = new Set(BUILTIN_COMMANDS.map((command) => command.id));
+
+  const entries = list
+    .map((command) => {
+      const builtIn = BUILTIN_COMMANDS.find((existing) => existing.id === command.id);
+      if (!builtIn) {
+        return command;
+      }
+
+      const changes = diffCommand(builtIn, command);
+      return Object.keys(changes).length > 0 ? { id: command.id, ...changes } : null;
+    })
+    .filter(Boolean);
+
+  const ids = new Set(list.map((command) => command.id));
+
+  return {
+    version: CATALOG_VERSION,
+    commands: entries,
+    removed: [...builtInIds].filter((id) => !ids.has(id))
+  };
+}
+
+/**
+ * Read and validate a catalog file
+ * @param {string} filePath - Path to the JSON catalog
+ * @param {Function|null} isValidKey - Checks a key spec, or null to skip key checks
+ * @returns {object} - { commands, errors, outdated } - commands is null if
+ *   unusable; outdated is true for an older file format
+ */
+function loadCatalog(filePath, isValidKey = keyValidator) {
+  let data;
+
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return { commands: null, errors: [`Could not read ${path.basename(filePath)}: ${error.message}`] };
+  }
+
+  const merged = mergeCatalog(data);
+  if (!merged.commands) {
+    return merged;
+  }
+
+  return {
+    ...validateCatalog(merged.commands, isValidKey),
+    outdated: Array.isArray(data) || (data.version || 1) < CATALOG_VERSION
+  };
+}
+
+/**
+ * Write a command list to a catalog file, as changes to the built-ins
+ * @param {string} filePath - Path to write
+ * @param {Array} list - Command definitions (with ids)
+ */
+function writeCatalog(filePath, list) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(getCatalogChanges(list), null, 2));
+}
+
+/**
+ * Load the user catalog
+ * The file is only written once a command is edited; until then the
+ * built-in commands are used as they are. Falls back to the built-in
+ * commands if the file is invalid.
+ * @param {string} filePath - Path to commands.json
+ * @param {object} options - { isValidKey } checks key specs
+ * @returns {Array} - Active commands
+ */
+function initCatalog(filePath, options = {}) {
+  catalogPath = filePath;
+  keyValidator = options.isValidKey || null;
+
+  reloadCatalog();
+  return commands;
+}
+
+/**
+ * Reload the catalog file, keeping the current commands if it is invalid
+ * Without a file the built-in commands are used. A file in an older format
+ * is rewritten in the current one.
+ * @returns {boolean} - True if the commands were loaded
+ */
+function reloadCatalog() {
+  if (!catalogPath) {
+    return false;
+  }
+
+  if (!fs.existsSync(catalogPath)) {
+    lastErrors = [];
+    setCommands(BUILTIN_COMMANDS);
+    console.log(`No ${path.basename(catalogPath)} yet, using the built-in commands`);
+    return true;
+  }
+
+  const result = loadCatalog(catalogPath);
+  lastErrors = result.errors;
+
+  if (!result.commands) {
+    console.warn(`Command catalog rejected, keeping ${commands === BUILTIN_COMMANDS ? 'built-in' : 'previous'} commands:`);
+    result.errors.forEach((error) => console.warn(`  ${error}`));
+    return false;
+  }
+
+  setCommands(result.commands);
+  console.log(`Loaded ${commands.length} commands from ${catalogPath}`);
+
+  if (result.outdated) {
+    try {
+      writeCatalog(catalogPath, commands);
+      console.log(`Updated ${path.basename(catalogPath)} to catalog version ${CATALOG_VERSION}`);
+    } catch (error) {
+      console.error('Could not update command catalog:', error.message);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Reload the catalog whenever the file changes on disk
+ * Watches the directory, since editors often replace the file rather than
+ * writing it in place.
+ * @param {Function} onChange - Called with (commands, errors) after each reload attempt
+ */
+function watchCatalog(onChange) {
+  if (!catalogPath) {
+    return;
+  }
+
+  unwatchCatalog();
+
+  const fileName = path.basename(catalogPath);
+
+  try {
+    watcher = fs.watch(path.dirname(catalogPath), (eventType, changed) => {
+      if (changed && changed !== fileName) {
+        return;
+      }
+
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        reloadCatalog();
+        onChange(commands, lastErrors);
+      }, RELOAD_DEBOUNCE_MS);
+    });
+  } catch (error) {
+    console.error('Could not watch command catalog:', error.message);
+  }
+}
+
+/**
+ * Stop watching the catalog file
+ */
+function unwatchCatalog() {
+  clearTimeout(reloadTimer);
+  reloadTimer = null;
+
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+/**
+ * Validate and save a new command list, making it active immediately
+ * Refuses to overwrite a catalog file that currently fails to load, so
+ * hand edits in progress aren't lost.
+ * @param {Array} list - Command definitions
+ * @returns {object} - { success, errors }
+ */
+function saveCatalog(list) {
+  if (!catalogPath) {
+    return { success: false, errors: ['Command catalog not initialized'] };
+  }
+
+  if (lastErrors.length > 0) {
+    return { success: false, errors: [`Fix the errors in ${path.basename(catalogPath)} first`, ...lastErrors] };
+  }
+
+  const result = validateCatalog(list);
+  if (!result.commands) {
+    return { success: false, errors: result.errors };
+  }
+
+  try {
+    writeCatalog(catalogPath, result.commands);
+  } catch (error) {
+    return { success: false, errors: [`Could not save ${path.basename(catalogPath)}: ${error.message}`] };
+  }
+
+  setCommands(result.commands);
+  console.log(`Saved ${commands.length} commands to ${catalogPath}`);
+  return { success: true, errors: [] };
+}
+
+/**
+ * Add a command, or replace the one with the same id
+ * @param {object} command - Command definition (without id to add)
+ * @returns {object} - { success, errors }
+ */
+function saveCommand(command) {
+  const exists = command.id && commands.some((existing) => existing.id === command.id);
+
+  return saveCatalog(exists
+    ? commands.map((existing) => (existing.id === command.id ? command : existing))
+    : [...commands, command]);
+}
+
+/**
+ * Delete a command
+ * @param {string} id - Command id
+ * @returns {object} - { success, errors }
+ */
+function deleteCommand(id) {
+  return saveCatalog(commands.filter((command) => command.id !== id));
+}
+
+/**
+ * Get every command in the catalog, including disabled ones
+ * @returns {Array}
+ */
+function getCommands() {
+  return commands;
+}
+
+/**
+ * Get the commands the matcher should use (enabled ones only, with
+ * normalized phrases)
+ * @returns {Array}
+ */
+function getActiveCommands() {
+  return activeCommands;
+}
+
+/**
+ * Get catalog status for display
+ * @returns {object} - { path, errors, builtIn }
+ */
+function getCatalogStatus() {
+  return {
+    path: catalogPath,
+    errors: lastErrors,
+    builtIn: commands === BUILTIN_COMMANDS
+  };
+}
+
+/**
+ * Describe each key by the commands bound to it
+ * @param {Array} list - Commands (defaults to the active catalog)
+ * @returns {object} - key → "Description / Description"
+ */
+function getKeyDescriptions(list = getActiveCommands()) {
+  const descriptions = {};
+
+  list.forEach((command) => {
+    if (!command.key) return;
+
+    const key = command.key.toLowerCase();
+    descriptions[key] = descriptions[key]
+      ? `${descriptions[key]} / ${command.description}`
+      : command.description;
+  });
+
+  return descriptions;
+}
+
+/**
+ * Get each key's priority - the most urgent of the commands bound to it
+ * @param {Array} list - Commands (defaults to the active catalog)
+ * @returns {object} - key → priority (1 = racing)
+ */
+function getKeyPriorities(list = getActiveCommands()) {
+  const priorities = {};
+
+  list.forEach((command) => {
+    if (!command.key) return;
+
+    const key = command.key.toLowerCase();
+    priorities[key] = Math.min(priorities[key] || Infinity, command.priority);
+  });
+
+  return priorities;
+}
+
+module.exports = {
+  initCatalog,
+  reloadCatalog,
+  loadCatalog,
+  validateCatalog,
+  validateCommand,
+  mergeCatalog,
+  saveCatalog,
+  saveCommand,
+  deleteCommand,
+  watchCatalog,
+  unwatchCatalog,
+  getCommands,
+  getActiveCommands,
+  getCatalogStatus,
+  getKeyDescriptions,
+  getKeyPriorities,
+  DEFAULT_COMMANDS,
+  COMMAND_ACTIONS,
+  KEY_ACTIONS,
+  CATALOG_VERSION
+};
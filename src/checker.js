@@ -0,0 +1,167 @@
+/**
+ * Command Catalog Checker
+ *
+ * Finds catalogs that are valid but contradict themselves: the same phrase
+ * on two commands, one phrase hidden inside another, one key doing two
+ * different things, and keyCode fields that disagree with the key.
+ * Used by the Settings window and scripts/check-catalog.js.
+ */
+
+const { normalizeTranscript, findFalsePositives } = require('./matcher');
+
+/**
+ * Check whether a phrase appears as whole words inside another
+ * @param {string} inner - Normalized phrase
+ * @param {string} outer - Normalized phrase
+ * @returns {boolean}
+ */
+function containsPhrase(inner, outer) {
+  return inner !== outer && ` ${outer} `.includes(` ${inner} `);
+}
+
+/**
+ * Collect every phrase with the command it belongs to
+ * @param {Array} commands - Command definitions
+ * @returns {Array} - [{ phrase, command }] with normalized phrases
+ */
+function collectPhrases(commands) {
+  return commands.flatMap((command) =>
+    command.phrases.map((phrase) => ({ phrase: normalizeTranscript(phrase), command }))
+  );
+}
+
+/**
+ * Find phrases used by more than one command
+ * @param {Array} commands - Command definitions
+ * @returns {Array} - Warnings
+ */
+function findDuplicatePhrases(commands) {
+  const owners = new Map();
+
+  collectPhrases(commands).forEach(({ phrase, command }) => {
+    const list = owners.get(phrase) || [];
+    if (!list.includes(command)) list.push(command);
+    owners.set(phrase, list);
+  });
+
+  return [...owners.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([phrase, list]) => ({
+      type: 'duplicate-phrase',
+      message: `"${phrase}" is a phrase of ${list.map((command) => `"${command.description}"`).join(' and ')}`,
+      commands: list.map((command) => command.description)
+    }));
+}
+
+/**
+ * Find phrases that are whole-word parts of another command's phrase
+ * ("right" inside "turn right" is fine; "up" inside "fan up" is not)
+ * @param {Array} commands - Command definitions
+ * @returns {Array} - Warnings
+ */
+function findSubstringPhrases(commands) {
+  const phrases = collectPhrases(commands);
+  const warnings = [];
+
+  phrases.forEach((inner) => {
+    phrases.forEach((outer) => {
+      if (inner.command !== outer.command && containsPhrase(inner.phrase, outer.phrase)) {
+        warnings.push({
+          type: 'substring-phrase',
+          message: `"${inner.phrase}" (${inner.command.description}) is part of "${outer.phrase}" (${outer.command.description})`,
+          commands: [inner.command.description, outer.command.description]
+        });
+      }
+    });
+  });
+
+  return warnings;
+}
+
+/**
+ * Find keys bound to commands with different descriptions
+ * Holding a key is a different action from pressing it, so "Steer left"
+ * (hold) and "Turn left" (press) don't conflict.
+ * @param {Array} commands - Command definitions
+ * @returns {Array} - Warnings
+ */
+function findKeyConflicts(commands) {
+  const byKey = new Map();
+
+  commands.forEach((command) => {
+    if (!command.key) return;
+
+    const key = command.key.toLowerCase();
+    const group = command.action === 'hold' ? `hold ${key}` : key;
+    byKey.set(group, [...(byKey.get(group) || []), command]);
+  });
+
+  return [...byKey.entries()]
+    .filter(([, list]) => new Set(list.map((command) => command.description)).size > 1)
+    .map(([, list]) => ({
+      type: 'key-conflict',
+      message: `Key "${list[0].key.toLowerCase()}"${list[0].action === 'hold' ? ' (held)' : ''} is bound to ${list.map((command) => `"${command.description}"`).join(', ')}`,
+      commands: list.map((command) => command.description)
+    }));
+}
+
+/**
+ * Find keyCode fields that disagree with the key's AppleScript key code
+ * keyCode is the code of the key itself, so modifiers ("shift+g") are ignored.
+ * @param {Array} commands - Command definitions
+ * @param {object} keyCodes - key → macOS virtual key code
+ * @returns {Array} - Warnings
+ */
+function findKeyCodeMismatches(commands, keyCodes) {
+  const baseKey = (command) => command.key.toLowerCase().split('+').pop().trim();
+
+  return commands
+    .filter((command) => command.key && command.keyCode !== undefined)
+    .filter((command) => keyCodes[baseKey(command)] !== command.keyCode)
+    .map((command) => {
+      const expected = keyCodes[baseKey(command)];
+      return {
+        type: 'keycode-mismatch',
+        message: `"${command.description}" has keyCode ${command.keyCode} but key "${command.key}" is ${expected === undefined ? 'not a known key code' : expected}`,
+        commands: [command.description]
+      };
+    });
+}
+
+/**
+ * Find everyday sentences that would trigger a command
+ * @param {Array} commands - Command definitions
+ * @returns {Array} - Warnings
+ */
+function findFalsePositiveWarnings(commands) {
+  return findFalsePositives(commands).map(({ sample, command, matchedPhrase }) => ({
+    type: 'false-positive',
+    message: `"${sample}" would trigger "${command}" (via "${matchedPhrase}")`,
+    commands: [command]
+  }));
+}
+
+/**
+ * Run every consistency check on a catalog
+ * @param {Array} commands - Validated command definitions
+ * @param {object} options - { keyCodes } to check keyCode fields against
+ * @returns {Array} - Warnings: [{ type, message, commands }]
+ */
+function checkCatalog(commands, options = {}) {
+  return [
+    ...findDuplicatePhrases(commands),
+    ...findSubstringPhrases(commands),
+    ...findKeyConflicts(commands),
+    ...(options.keyCodes ? findKeyCodeMismatches(commands, options.keyCodes) : []),
+    ...findFalsePositiveWarnings(commands)
+  ];
+}
+
+module.exports = {
+  checkCatalog,
+  findDuplicatePhrases,
+  findSubstringPhrases,
+  findKeyConflicts,
+  findKeyCodeMismatches,
+  findFalsePositiveWarnings
+};
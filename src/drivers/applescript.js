@@ -0,0 +1,113 @@
+/**
+ * AppleScript Keystroke Driver (macOS)
+ * Presses go through System Events; holding a key needs separate down and
+ * up events, which are posted with CoreGraphics from JavaScript for
+ * Automation.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { createDriver } = require('./driver');
+const { APPLESCRIPT_KEY_CODES } = require('./keys');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Modifier names in System Events "using {...}" clauses
+ */
+const APPLESCRIPT_MODIFIERS = {
+  shift: 'shift',
+  control: 'control',
+  alt: 'option',
+  command: 'command'
+};
+
+/**
+ * Run an osascript script, turning a missing Accessibility permission into
+ * an error the user can act on
+ * @param {string[]} args - osascript arguments
+ * @param {string} action - What was attempted, for the log
+ * @returns {Promise<boolean>} - Success status
+ */
+async function runScript(args, action) {
+  try {
+    await execFileAsync('osascript', args);
+    return true;
+  } catch (error) {
+    console.error(`AppleScript error ${action}:`, error.message);
+
+    if (error.message.includes('not allowed') || error.message.includes('accessibility')) {
+      throw new Error('ACCESSIBILITY_PERMISSION_REQUIRED');
+    }
+
+    return false;
+  }
+}
+
+/**
+ * Look up the key code for a key
+ * @param {string} key - Catalog key name
+ * @returns {number|undefined}
+ */
+function keyCodeFor(key) {
+  const keyCode = APPLESCRIPT_KEY_CODES[key.toLowerCase()];
+  if (keyCode === undefined) {
+    console.warn(`Unknown key for AppleScript: ${key}`);
+  }
+  return keyCode;
+}
+
+/**
+ * Post a single key down or key up event
+ * @param {string} key - Catalog key name
+ * @param {boolean} isDown
+ * @returns {Promise<boolean>} - Success status
+ */
+async function postKeyEvent(key, isDown) {
+  const keyCode = keyCodeFor(key);
+  if (keyCode === undefined) {
+    return false;
+  }
+
+  const script = [
+    "ObjC.import('CoreGraphics');",
+    `$.CGEventPost($.kCGHIDEventTap, $.CGEventCreateKeyboardEvent(null, ${keyCode}, ${isDown}));`
+  ].join(' ');
+
+  return runScript(['-l', 'JavaScript', '-e', script], `${isDown ? 'holding' : 'releasing'} ${key}`);
+}
+
+module.exports = createDriver({
+  name: 'applescript',
+
+  isAvailable() {
+    return process.platform === 'darwin';
+  },
+
+  async down(key) {
+    return postKeyEvent(key, true);
+  },
+
+  async up(key) {
+    return postKeyEvent(key, false);
+  },
+
+  // One System Events call - the hold time is the system's own
+  async press(key, holdMs, modifiers = []) {
+    const keyCode = keyCodeFor(key);
+    if (keyCode === undefined) {
+      return false;
+    }
+
+    const using = modifiers.length > 0
+      ? ` using {${modifiers.map((modifier) => `${APPLESCRIPT_MODIFIERS[modifier]} down`).join(', ')}}`
+      : '';
+
+    return runScript(['-e', `tell application "System Events" to key code ${keyCode}${using}`], `pressing ${key}`);
+  },
+
+  async typeString(text) {
+    const quoted = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return runScript(['-e', `tell application "System Events" to keystroke "${quoted}"`], 'typing text');
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * Keystroke Driver Interface
+ *
+ * Every way of sending keys implements the same shape:
+ *   name               - Driver name, reported as a result's `method`
+ *   isAvailable()      - Whether the driver works on this machine
+ *   down(key), up(key) - Hold and release a key
+ *   press(key, holdMs, modifiers)
+ *                      - Down, wait, up, with modifiers held around it
+ *   typeString(text)   - Type text
+ *
+ * Keys are catalog key names ('left', 'g', 'f1'). Key functions resolve to
+ * true or false, and throw only for problems the user has to fix, such as a
+ * missing permission.
+ */
+
+/**
+ * Helper function to sleep
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a driver, filling in press() from down() / up() if not given
+ * The default press holds modifiers (e.g. ['shift']) in order, presses the
+ * key, then releases the modifiers in reverse order.
+ * @param {object} definition - { name, isAvailable, down, up, press?, typeString }
+ * @returns {object} - Driver
+ */
+function createDriver(definition) {
+  ['name', 'isAvailable', 'down', 'up', 'typeString'].forEach((field) => {
+    if (!definition[field]) {
+      throw new Error(`Keystroke driver ${definition.name || '(unnamed)'} is missing ${field}`);
+    }
+  });
+
+  return {
+    async press(key, holdMs = 50, modifiers = []) {
+      const held = [];
+
+      try {
+        for (const modifier of modifiers) {
+          if (!(await this.down(modifier))) {
+            return false;
+          }
+          held.push(modifier);
+        }
+
+        if (!(await this.down(key))) {
+          return false;
+        }
+        await sleep(holdMs);
+        return await this.up(key);
+      } finally {
+        // Never leave a modifier stuck down
+        for (const modifier of held.reverse()) {
+          await this.up(modifier);
+        }
+      }
+    },
+    ...definition
+  };
+}
+
+module.exports = {
+  createDriver,
+  sleep
+};
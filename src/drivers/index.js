@@ -0,0 +1,84 @@
+/**
+ * Keystroke Driver Registry
+ *
+ * Drivers register by name; keyboard.js uses the first available one in
+ * selection order. The recording driver is registered for KEYBOARD_DRIVER
+ * but never picked automatically.
+ */
+
+const { createDriver } = require('./driver');
+const { createRecordingDriver } = require('./recording');
+const robotjs = require('./robotjs');
+const applescript = require('./applescript');
+const { xdotool, ydotool, isWaylandSession } = require('./linux');
+
+/**
+ * Registered drivers: name → driver
+ */
+const drivers = new Map();
+
+/**
+ * Add a driver to the registry (replacing one with the same name)
+ * @param {object} driver - Driver made with createDriver()
+ */
+function registerDriver(driver) {
+  drivers.set(driver.name, driver);
+}
+
+/**
+ * Look up a driver by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getDriver(name) {
+  return drivers.get(name) || null;
+}
+
+/**
+ * List registered drivers and whether each works here
+ * @returns {Array} - [{ name, available }]
+ */
+function listDrivers() {
+  return [...drivers.values()].map((driver) => ({
+    name: driver.name,
+    available: driver.isAvailable()
+  }));
+}
+
+/**
+ * Order in which drivers are tried
+ * On Wayland, uinput (ydotool) reaches every app; XTest only reaches XWayland.
+ * @returns {string[]} - Driver names
+ */
+function getSelectionOrder() {
+  return isWaylandSession()
+    ? ['robotjs', 'applescript', 'ydotool', 'xdotool']
+    : ['robotjs', 'applescript', 'xdotool', 'ydotool'];
+}
+
+/**
+ * Pick the first available driver
+ * @param {string[]} order - Driver names to try
+ * @returns {object|null} - Driver, or null if none works here
+ */
+function selectDriver(order = getSelectionOrder()) {
+  for (const name of order) {
+    const driver = getDriver(name);
+    if (driver && driver.isAvailable()) {
+      return driver;
+    }
+  }
+  return null;
+}
+
+[robotjs, applescript, xdotool, ydotool, createRecordingDriver()].forEach(registerDriver);
+
+module.exports = {
+  registerDriver,
+  getDriver,
+  listDrivers,
+  getSelectionOrder,
+  selectDriver,
+  createDriver,
+  createRecordingDriver
+};
@@ -0,0 +1,223 @@
+/**
+ * Key Maps
+ *
+ * Catalog key names mapped to what each keystroke driver sends.
+ * ROBOTJS_KEY_MAP also defines which keys a command may use; key specs
+ * combine them with modifiers ("shift+g", see keyboard.parseKeySpec).
+ */
+
+/**
+ * Key mapping for robotjs
+ * Maps our key names to robotjs key names
+ */
+const ROBOTJS_KEY_MAP = {
+  // Navigation
+  'left': 'left',
+  'right': 'right',
+  'down': 'down',
+  'up': 'up',
+
+  // Actions
+  'space': 'space',
+  'escape': 'escape',
+  'tab': 'tab',
+  'pageup': 'pageup',
+  'pagedown': 'pagedown',
+  'enter': 'enter',
+  'backspace': 'backspace',
+  'delete': 'delete',
+  'home': 'home',
+  'end': 'end',
+
+  // Modifiers
+  'shift': 'shift',
+  'control': 'control',
+  'alt': 'alt',
+  'command': 'command',
+
+  // Punctuation
+  'minus': '-',
+  'equal': '=',
+  'comma': ',',
+  'period': '.',
+  'slash': '/',
+  'backslash': '\\',
+  'semicolon': ';',
+  'quote': "'",
+  'backquote': '`',
+  'leftbracket': '[',
+  'rightbracket': ']',
+
+  // Function keys
+  'f1': 'f1',
+  'f2': 'f2',
+  'f3': 'f3',
+  'f4': 'f4',
+  'f5': 'f5',
+  'f6': 'f6',
+  'f7': 'f7',
+  'f8': 'f8',
+  'f9': 'f9',
+  'f10': 'f10',
+  'f11': 'f11',
+  'f12': 'f12',
+
+  // Numbers
+  '0': '0',
+  '1': '1',
+  '2': '2',
+  '3': '3',
+  '4': '4',
+  '5': '5',
+  '6': '6',
+  '7': '7',
+  '8': '8',
+  '9': '9',
+
+  // Letters
+  'a': 'a', 'b': 'b', 'c': 'c', 'd': 'd', 'e': 'e',
+  'f': 'f', 'g': 'g', 'h': 'h', 'i': 'i', 'j': 'j',
+  'k': 'k', 'l': 'l', 'm': 'm', 'n': 'n', 'o': 'o',
+  'p': 'p', 'q': 'q', 'r': 'r', 's': 's', 't': 't',
+  'u': 'u', 'v': 'v', 'w': 'w', 'x': 'x', 'y': 'y', 'z': 'z'
+};
+
+/**
+ * AppleScript key codes (macOS virtual key codes)
+ */
+const APPLESCRIPT_KEY_CODES = {
+  'space': 49,
+  'escape': 53,
+  'tab': 48,
+  'left': 123,
+  'right': 124,
+  'down': 125,
+  'up': 126,
+  'pageup': 116,
+  'pagedown': 121,
+  'f1': 122,
+  'f2': 120,
+  'f3': 99,
+  'f4': 118,
+  'f5': 96,
+  'f6': 97,
+  'f7': 98,
+  'f8': 100,
+  'f9': 101,
+  'f10': 109,
+  'f11': 103,
+  'f12': 111,
+  'enter': 36,
+  'backspace': 51,
+  'delete': 117,
+  'home': 115,
+  'end': 119,
+  'shift': 56,
+  'control': 59,
+  'alt': 58,
+  'command': 55,
+  'minus': 27,
+  'equal': 24,
+  'comma': 43,
+  'period': 47,
+  'slash': 44,
+  'backslash': 42,
+  'semicolon': 41,
+  'quote': 39,
+  'backquote': 50,
+  'leftbracket': 33,
+  'rightbracket': 30,
+  '0': 29,
+  '1': 18,
+  '2': 19,
+  '3': 20,
+  '4': 21,
+  '5': 23,
+  '6': 22,
+  '7': 26,
+  '8': 28,
+  '9': 25,
+  'a': 0, 'b': 11, 'c': 8, 'd': 2, 'e': 14,
+  'f': 3, 'g': 5, 'h': 4, 'i': 34, 'j': 38,
+  'k': 40, 'l': 37, 'm': 46, 'n': 45, 'o': 31,
+  'p': 35, 'q': 12, 'r': 15, 's': 1, 't': 17,
+  'u': 32, 'v': 9, 'w': 13, 'x': 7, 'y': 16, 'z': 6
+};
+
+/**
+ * Linux key map (xdotool and ydotool)
+ * keysym is the X11 name used by xdotool, code the evdev key code that
+ * ydotool writes to uinput
+ */
+const LINUX_KEY_MAP = {
+  'space': { keysym: 'space', code: 57 },
+  'escape': { keysym: 'Escape', code: 1 },
+  'tab': { keysym: 'Tab', code: 15 },
+  'left': { keysym: 'Left', code: 105 },
+  'right': { keysym: 'Right', code: 106 },
+  'down': { keysym: 'Down', code: 108 },
+  'up': { keysym: 'Up', code: 103 },
+  'pageup': { keysym: 'Prior', code: 104 },
+  'pagedown': { keysym: 'Next', code: 109 },
+  'f1': { keysym: 'F1', code: 59 },
+  'f2': { keysym: 'F2', code: 60 },
+  'f3': { keysym: 'F3', code: 61 },
+  'f4': { keysym: 'F4', code: 62 },
+  'f5': { keysym: 'F5', code: 63 },
+  'f6': { keysym: 'F6', code: 64 },
+  'f7': { keysym: 'F7', code: 65 },
+  'f8': { keysym: 'F8', code: 66 },
+  'f9': { keysym: 'F9', code: 67 },
+  'f10': { keysym: 'F10', code: 68 },
+  'f11': { keysym: 'F11', code: 87 },
+  'f12': { keysym: 'F12', code: 88 },
+  'enter': { keysym: 'Return', code: 28 },
+  'backspace': { keysym: 'BackSpace', code: 14 },
+  'delete': { keysym: 'Delete', code: 111 },
+  'home': { keysym: 'Home', code: 102 },
+  'end': { keysym: 'End', code: 107 },
+  'shift': { keysym: 'Shift_L', code: 42 },
+  'control': { keysym: 'Control_L', code: 29 },
+  'alt': { keysym: 'Alt_L', code: 56 },
+  'command': { keysym: 'Super_L', code: 125 },
+  'minus': { keysym: 'minus', code: 12 },
+  'equal': { keysym: 'equal', code: 13 },
+  'comma': { keysym: 'comma', code: 51 },
+  'period': { keysym: 'period', code: 52 },
+  'slash': { keysym: 'slash', code: 53 },
+  'backslash': { keysym: 'backslash', code: 43 },
+  'semicolon': { keysym: 'semicolon', code: 39 },
+  'quote': { keysym: 'apostrophe', code: 40 },
+  'backquote': { keysym: 'grave', code: 41 },
+  'leftbracket': { keysym: 'bracketleft', code: 26 },
+  'rightbracket': { keysym: 'bracketright', code: 27 },
+  '0': { keysym: '0', code: 11 },
+  '1': { keysym: '1', code: 2 },
+  '2': { keysym: '2', code: 3 },
+  '3': { keysym: '3', code: 4 },
+  '4': { keysym: '4', code: 5 },
+  '5': { keysym: '5', code: 6 },
+  '6': { keysym: '6', code: 7 },
+  '7': { keysym: '7', code: 8 },
+  '8': { keysym: '8', code: 9 },
+  '9': { keysym: '9', code: 10 },
+  'a': { keysym: 'a', code: 30 }, 'b': { keysym: 'b', code: 48 },
+  'c': { keysym: 'c', code: 46 }, 'd': { keysym: 'd', code: 32 },
+  'e': { keysym: 'e', code: 18 }, 'f': { keysym: 'f', code: 33 },
+  'g': { keysym: 'g', code: 34 }, 'h': { keysym: 'h', code: 35 },
+  'i': { keysym: 'i', code: 23 }, 'j': { keysym: 'j', code: 36 },
+  'k': { keysym: 'k', code: 37 }, 'l': { keysym: 'l', code: 38 },
+  'm': { keysym: 'm', code: 50 }, 'n': { keysym: 'n', code: 49 },
+  'o': { keysym: 'o', code: 24 }, 'p': { keysym: 'p', code: 25 },
+  'q': { keysym: 'q', code: 16 }, 'r': { keysym: 'r', code: 19 },
+  's': { keysym: 's', code: 31 }, 't': { keysym: 't', code: 20 },
+  'u': { keysym: 'u', code: 22 }, 'v': { keysym: 'v', code: 47 },
+  'w': { keysym: 'w', code: 17 }, 'x': { keysym: 'x', code: 45 },
+  'y': { keysym: 'y', code: 21 }, 'z': { keysym: 'z', code: 44 }
+};
+
+module.exports = {
+  ROBOTJS_KEY_MAP,
+  APPLESCRIPT_KEY_CODES,
+  LINUX_KEY_MAP
+};
@@ -0,0 +1,140 @@
+/**
+ * Linux Keystroke Drivers
+ * xdotool sends keys through XTest (X11, and apps under XWayland); ydotool
+ * writes to uinput, which works on Wayland but needs the ydotoold daemon.
+ */
+
+const { execFile, execFileSync } = require('child_process');
+const { promisify } = require('util');
+const { createDriver } = require('./driver');
+const { LINUX_KEY_MAP } = require('./keys');
+
+const execFileAsync = promisify(execFile);
+
+// Tools already looked up: command → installed
+const installed = {};
+
+/**
+ * Check whether a command line tool is installed
+ * @param {string} command - Tool name
+ * @returns {boolean}
+ */
+function hasCommand(command) {
+  if (installed[command] === undefined) {
+    try {
+      execFileSync('which', [command], { stdio: 'ignore' });
+      installed[command] = true;
+    } catch (error) {
+      installed[command] = false;
+    }
+  }
+  return installed[command];
+}
+
+/**
+ * Check whether this is a Wayland session
+ * @returns {boolean}
+ */
+function isWaylandSession() {
+  return process.env.XDG_SESSION_TYPE === 'wayland' || Boolean(process.env.WAYLAND_DISPLAY);
+}
+
+/**
+ * Look up a key in the Linux key map
+ * @param {string} key - Catalog key name
+ * @param {string} tool - Driver name, for the log
+ * @returns {object|undefined} - { keysym, code }
+ */
+function mapKey(key, tool) {
+  const mapped = LINUX_KEY_MAP[key.toLowerCase()];
+  if (!mapped) {
+    console.warn(`Unknown key for ${tool}: ${key}`);
+  }
+  return mapped;
+}
+
+/**
+ * Run xdotool
+ * @param {string[]} args
+ * @returns {Promise<boolean>} - Success status
+ */
+async function runXdotool(args) {
+  try {
+    await execFileAsync('xdotool', args);
+    return true;
+  } catch (error) {
+    console.error(`xdotool error (${args.join(' ')}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Run ydotool, turning a missing daemon or uinput access into an error the
+ * user can act on
+ * @param {string[]} args
+ * @returns {Promise<boolean>} - Success status
+ */
+async function runYdotool(args) {
+  try {
+    await execFileAsync('ydotool', args);
+    return true;
+  } catch (error) {
+    console.error(`ydotool error (${args.join(' ')}):`, error.message);
+
+    if (error.message.includes('socket') || error.message.includes('uinput') || error.message.includes('ermission')) {
+      throw new Error('UINPUT_PERMISSION_REQUIRED');
+    }
+
+    return false;
+  }
+}
+
+const xdotool = createDriver({
+  name: 'xdotool',
+
+  isAvailable() {
+    return process.platform === 'linux' && Boolean(process.env.DISPLAY) && hasCommand('xdotool');
+  },
+
+  async down(key) {
+    const mapped = mapKey(key, 'xdotool');
+    return mapped ? runXdotool(['keydown', mapped.keysym]) : false;
+  },
+
+  async up(key) {
+    const mapped = mapKey(key, 'xdotool');
+    return mapped ? runXdotool(['keyup', mapped.keysym]) : false;
+  },
+
+  async typeString(text) {
+    return runXdotool(['type', '--', text]);
+  }
+});
+
+const ydotool = createDriver({
+  name: 'ydotool',
+
+  isAvailable() {
+    return process.platform === 'linux' && hasCommand('ydotool');
+  },
+
+  async down(key) {
+    const mapped = mapKey(key, 'ydotool');
+    return mapped ? runYdotool(['key', `${mapped.code}:1`]) : false;
+  },
+
+  async up(key) {
+    const mapped = mapKey(key, 'ydotool');
+    return mapped ? runYdotool(['key', `${mapped.code}:0`]) : false;
+  },
+
+  async typeString(text) {
+    return runYdotool(['type', '--', text]);
+  }
+});
+
+module.exports = {
+  xdotool,
+  ydotool,
+  isWaylandSession
+};
@@ -0,0 +1,103 @@
+/**
+ * Recording Keystroke Driver
+ * Sends nothing - keeps every key event with its timing, so the queue, rate
+ * limiting and multi-key commands can be checked on any machine.
+ *
+ *   const recorder = createRecordingDriver();
+ *   keyboard.setDriver(recorder);
+ *   await keyboard.simulateKeys(['g', 'g']);
+ *   recorder.getEvents(); // [{ type: 'down', key: 'g', at: 0 }, { type: 'up', key: 'g', at: 50 }, ...]
+ */
+
+const { createDriver } = require('./driver');
+
+/**
+ * Create a recording driver
+ * @param {object} options - { failKeys } keys whose presses should fail
+ * @returns {object} - Driver with getEvents(), getPresses() and clear()
+ */
+function createRecordingDriver(options = {}) {
+  const failKeys = new Set(options.failKeys || []);
+  let events = [];
+  let startedAt = null;
+
+  /**
+   * Record one event
+   * @param {string} type - 'down', 'up' or 'type'
+   * @param {object} fields - { key } or { text }
+   */
+  function record(type, fields) {
+    const now = Date.now();
+    if (startedAt === null) {
+      startedAt = now;
+    }
+    events.push({ type, ...fields, time: now, at: now - startedAt });
+  }
+
+  return createDriver({
+    name: 'recording',
+
+    isAvailable() {
+      return true;
+    },
+
+    async down(key) {
+      if (failKeys.has(key)) {
+        return false;
+      }
+      record('down', { key });
+      return true;
+    },
+
+    async up(key) {
+      record('up', { key });
+      return true;
+    },
+
+    async typeString(text) {
+      record('type', { text });
+      return true;
+    },
+
+    /**
+     * Get every recorded event
+     * @returns {Array} - [{ type, key | text, time, at }] with `at` in ms since the first event
+     */
+    getEvents() {
+      return events.map((event) => ({ ...event }));
+    },
+
+    /**
+     * Get completed presses (a down followed by its up)
+     * @returns {Array} - [{ key, at, heldMs }]
+     */
+    getPresses() {
+      const held = new Map();
+      const presses = [];
+
+      events.forEach((event) => {
+        if (event.type === 'down') {
+          held.set(event.key, event);
+        } else if (event.type === 'up' && held.has(event.key)) {
+          const down = held.get(event.key);
+          presses.push({ key: event.key, at: down.at, heldMs: event.time - down.time });
+          held.delete(event.key);
+        }
+      });
+
+      return presses;
+    },
+
+    /**
+     * Forget everything recorded so far
+     */
+    clear() {
+      events = [];
+      startedAt = null;
+    }
+  });
+}
+
+module.exports = {
+  createRecordingDriver
+};
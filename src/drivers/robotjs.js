@@ -0,0 +1,66 @@
+/**
+ * robotjs Keystroke Driver
+ * Native key events on macOS, Windows and X11
+ */
+
+const { createDriver } = require('./driver');
+const { ROBOTJS_KEY_MAP } = require('./keys');
+
+let robot = null;
+
+// Try to load robotjs
+try {
+  robot = require('robotjs');
+  console.log('robotjs loaded successfully');
+} catch (error) {
+  console.warn('robotjs not available:', error.message);
+}
+
+/**
+ * Toggle a key with robotjs
+ * @param {string} key - Catalog key name
+ * @param {string} state - 'down' or 'up'
+ * @returns {boolean} - Success status
+ */
+function toggleKey(key, state) {
+  const robotKey = ROBOTJS_KEY_MAP[key.toLowerCase()];
+
+  if (!robotKey) {
+    console.warn(`Unknown key for robotjs: ${key}`);
+    return false;
+  }
+
+  try {
+    robot.keyToggle(robotKey, state);
+    return true;
+  } catch (error) {
+    console.error(`robotjs error pressing ${key}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = createDriver({
+  name: 'robotjs',
+
+  isAvailable() {
+    return robot !== null;
+  },
+
+  async down(key) {
+    return toggleKey(key, 'down');
+  },
+
+  async up(key) {
+    return toggleKey(key, 'up');
+  },
+
+  async typeString(text) {
+    try {
+      robot.typeString(text);
+      return true;
+    } catch (error) {
+      console.error('robotjs error typing text:', error.message);
+      return false;
+    }
+  }
+});
@@ -0,0 +1,242 @@
+/**
+ * Focus Guard Module
+ *
+ * Keys go to whichever window has focus, so before each keystroke the
+ * frontmost app is checked against the target app (Zwift). macOS asks
+ * System Events for the frontmost process; Linux reads the active X11
+ * window's WM_CLASS with xprop. Window titles are never matched - a browser
+ * tab about Zwift is not Zwift. Native Wayland windows can't be seen - there
+ * the check is skipped.
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { sleep } = require('./drivers/driver');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * What to do when the target app isn't in front
+ *   block - drop the keystroke
+ *   focus - bring the target app to the front, then send it
+ *   allow - send it anyway (no check)
+ */
+const FOCUS_POLICIES = ['block', 'focus', 'allow'];
+
+/**
+ * App name matched against the frontmost process or window class
+ * (case-insensitive, whole name, ".exe" ignored)
+ */
+const DEFAULT_TARGET_APP = 'Zwift';
+
+/**
+ * The default target also matches Zwift's game executables by prefix:
+ * ZwiftAppSilicon and ZwiftApp on macOS, zwiftapp.exe under Wine
+ */
+const ZWIFT_EXECUTABLE_PREFIX = 'zwiftapp';
+
+/**
+ * How long a focus check is reused - a batch of keys checks once
+ */
+const FOCUS_CACHE_MS = 500;
+
+/**
+ * Longest wait for osascript / xprop / xdotool
+ */
+const COMMAND_TIMEOUT_MS = 1000;
+
+/**
+ * Time for the window manager to finish raising the target app
+ */
+const FOCUS_SETTLE_MS = 250;
+
+// Logged once, so an unsupported session doesn't warn on every key
+let unsupportedLogged = false;
+
+// Last getFrontmostApp() answer: { app, at }
+let cached = null;
+
+/**
+ * Run a command, returning its output or null if it failed
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<string|null>}
+ */
+async function run(command, args) {
+  try {
+    const { stdout } = await execFileAsync(command, args, { timeout: COMMAND_TIMEOUT_MS });
+    return stdout.trim();
+  } catch (error) {
+    console.error(`${command} error:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read the active window's class and process id from X11
+ * @returns {Promise<object|null>} - { name, names, pid }
+ */
+async function getActiveX11Window() {
+  const root = await run('xprop', ['-root', '_NET_ACTIVE_WINDOW']);
+  const id = root && root.match(/window id # (0x[0-9a-f]+)/i);
+  if (!id || /^0x0+$/i.test(id[1])) {
+    return null;
+  }
+
+  const props = await run('xprop', ['-id', id[1], 'WM_CLASS', '_NET_WM_PID']);
+  if (!props) {
+    return null;
+  }
+
+  // WM_CLASS(STRING) = "zwiftapp.exe", "zwiftapp.exe"
+  // _NET_WM_PID(CARDINAL) = 4242
+  const wmClass = props.match(/^WM_CLASS\(\w+\) = (.*)$/m);
+  const pid = props.match(/^_NET_WM_PID\(\w+\) = (\d+)$/m);
+  const names = wmClass
+    ? [...wmClass[1].matchAll(/"((?:[^"\\]|\\.)*)"/g)].map((match) => match[1]).filter(Boolean)
+    : [];
+
+  if (names.length === 0) {
+    return null;
+  }
+
+  // Report the class ("firefox") rather than the instance ("Navigator")
+  return { name: names[names.length - 1], names, pid: pid ? Number(pid[1]) : null };
+}
+
+/**
+ * Ask the system which app is in front
+ * @returns {Promise<object|null>} - { name, names, pid }, or null if it can't be told here
+ */
+async function queryFrontmostApp() {
+  if (process.platform === 'darwin') {
+    // "ZwiftAppSilicon, 4242"
+    const output = await run('osascript', [
+      '-e', 'tell application "System Events" to get {name, unix id} of first application process whose frontmost is true'
+    ]);
+    const match = output && output.match(/^(.*), (\d+)$/);
+    return match ? { name: match[1], names: [match[1]], pid: Number(match[2]) } : null;
+  }
+
+  if (process.platform === 'linux' && process.env.DISPLAY) {
+    return getActiveX11Window();
+  }
+
+  return null;
+}
+
+/**
+ * Get the app in front, reusing an answer from the last FOCUS_CACHE_MS
+ * @returns {Promise<object|null>} - { name, names, pid }, or null if it can't be told here
+ */
+async function getFrontmostApp() {
+  if (!cached || Date.now() - cached.at > FOCUS_CACHE_MS) {
+    cached = { app: await queryFrontmostApp(), at: Date.now() };
+  }
+  return cached.app;
+}
+
+/**
+ * Check whether an app is the target app
+ * Never true for this app itself, whatever it is called.
+ * @param {object} frontmost - { names, pid } from getFrontmostApp()
+ * @param {string} targetApp - Target app name
+ * @returns {boolean}
+ */
+function matchesApp(frontmost, targetApp) {
+  if (frontmost.pid === process.pid) {
+    return false;
+  }
+
+  const target = targetApp.toLowerCase().replace(/\.exe$/, '');
+  const isDefault = target === DEFAULT_TARGET_APP.toLowerCase();
+
+  return frontmost.names.some((name) => {
+    const executable = name.toLowerCase().replace(/\.exe$/, '');
+    return executable === target || (isDefault && executable.startsWith(ZWIFT_EXECUTABLE_PREFIX));
+  });
+}
+
+/**
+ * Bring the target app to the front
+ * Only raises an app that is already running - never launches it.
+ * @param {string} targetApp - Target app name
+ * @returns {Promise<boolean>} - Success status
+ */
+async function focusApp(targetApp) {
+  cached = null;
+
+  if (process.platform === 'darwin') {
+    const quoted = targetApp.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const isDefault = targetApp.toLowerCase() === DEFAULT_TARGET_APP.toLowerCase();
+    const filter = isDefault
+      ? `(name is "${quoted}" or name begins with "ZwiftApp")`
+      : `name is "${quoted}"`;
+    return (await run('osascript', [
+      '-e', `tell application "System Events" to set frontmost of first application process whose ${filter} and unix id is not ${process.pid} to true`
+    ])) !== null;
+  }
+
+  if (process.platform === 'linux' && process.env.DISPLAY) {
+    // xdotool search takes a regular expression - match the whole class
+    const name = targetApp.replace(/\.exe$/i, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const isDefault = targetApp.toLowerCase() === DEFAULT_TARGET_APP.toLowerCase();
+    const pattern = isDefault ? `^(${name}|${ZWIFT_EXECUTABLE_PREFIX}.*)(\\.exe)?$` : `^${name}(\\.exe)?$`;
+    return (await run('xdotool', ['search', '--limit', '1', '--class', pattern, 'windowactivate'])) !== null;
+  }
+
+  return false;
+}
+
+/**
+ * Check that a keystroke would reach the target app, applying the policy
+ * @param {string} policy - 'block', 'focus' or 'allow'
+ * @param {string} targetApp - Target app name
+ * @returns {Promise<object>} - { allowed, app, focused, error }
+ */
+async function ensureFocus(policy, targetApp) {
+  if (policy === 'allow') {
+    return { allowed: true };
+  }
+
+  const frontmost = await getFrontmostApp();
+
+  if (!frontmost) {
+    if (!unsupportedLogged) {
+      console.warn('Focus guard: cannot tell which app is in front here - sending keys anyway');
+      unsupportedLogged = true;
+    }
+    return { allowed: true, app: null };
+  }
+
+  if (matchesApp(frontmost, targetApp)) {
+    return { allowed: true, app: frontmost.name };
+  }
+
+  if (policy === 'focus' && await focusApp(targetApp)) {
+    await sleep(FOCUS_SETTLE_MS);
+
+    const now = await getFrontmostApp();
+    if (now && matchesApp(now, targetApp)) {
+      console.log(`Focus guard: brought ${targetApp} to the front (was ${frontmost.name})`);
+      return { allowed: true, app: now.name, focused: true };
+    }
+  }
+
+  return {
+    allowed: false,
+    app: frontmost.name,
+    error: policy === 'focus'
+      ? `Couldn't bring ${targetApp} to the front (${frontmost.name} is)`
+      : `${targetApp} isn't the focused app (${frontmost.name} is)`
+  };
+}
+
+module.exports = {
+  getFrontmostApp,
+  matchesApp,
+  focusApp,
+  ensureFocus,
+  FOCUS_POLICIES,
+  DEFAULT_TARGET_APP
+};
@@ -1,25 +1,14 @@
 /**
  * Keyboard simulation module for Zwift commands
- * Uses robotjs for cross-platform keyboard simulation with safety features
+ * Rate limiting, queueing and history on top of a keystroke driver
+ * (robotjs, AppleScript, xdotool or ydotool - see drivers/)
  */
 
-let robot = null;
-let robotAvailable = false;
-
-// Try to load robotjs
-try {
-  robot = require('robotjs');
-  robotAvailable = true;
-  console.log('robotjs loaded successfully');
-} catch (error) {
-  console.warn('robotjs not available, falling back to AppleScript:', error.message);
-  robotAvailable = false;
-}
-
-// Fallback to AppleScript if robotjs fails
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const drivers = require('./drivers');
+const { sleep } = require('./drivers/driver');
+const { ROBOTJS_KEY_MAP, APPLESCRIPT_KEY_CODES, LINUX_KEY_MAP } = require('./drivers/keys');
+const { getKeyDescriptions, getKeyPriorities } = require('./catalog');
+const focus = require('./focus');
 
 /**
  * Configuration
@@ -28,7 +17,11 @@ const CONFIG = {
   keyPressDelay: 50,        // ms between key down and key up
   rateLimitMs: 300,         // minimum ms between commands
   maxQueueSize: 5,          // max commands to queue
+  queueTtlMs: 3000,         // queued commands this late for their turn are dropped
+  maxHoldMs: 10000,         // longest a key may be held down
   testMode: false,          // log only, don't send keystrokes
+  focusPolicy: 'block',     // when the target app isn't in front: block, focus or allow
+  targetApp: focus.DEFAULT_TARGET_APP,
   notificationsEnabled: true
 };
 
@@ -36,198 +29,126 @@ const CONFIG = {
  * State
  */
 let lastCommandTime = 0;
-let commandQueue = [];
+let commandQueue = [];     // [{ id, key, timestamp, priority, batch, options, dueAt }], most urgent first
+let lastQueueId = 0;
 let isProcessingQueue = false;
+const queueListeners = new Set();
+const dropCounts = { expired: 0, displaced: 0, coalesced: 0 };
+const lastPressed = new Map(); // key spec → time of its last press, for cooldowns
 let commandHistory = [];
 const MAX_HISTORY = 50;
+const heldKeys = new Map(); // key spec → { parsed, driver, timer, since, until }
 
 /**
- * Key mapping for robotjs
- * Maps our key names to robotjs key names
- */
-const ROBOTJS_KEY_MAP = {
-  // Navigation
-  'left': 'left',
-  'right': 'right',
-  'down': 'down',
-  'up': 'up',
-
-  // Actions
-  'space': 'space',
-  'escape': 'escape',
-  'tab': 'tab',
-  'pageup': 'pageup',
-  'pagedown': 'pagedown',
-
-  // Function keys
-  'f1': 'f1',
-  'f2': 'f2',
-  'f3': 'f3',
-  'f4': 'f4',
-  'f5': 'f5',
-  'f6': 'f6',
-  'f7': 'f7',
-  'f8': 'f8',
-  'f9': 'f9',
-  'f10': 'f10',
-
-  // Numbers
-  '0': '0',
-  '1': '1',
-  '2': '2',
-  '3': '3',
-  '4': '4',
-  '5': '5',
-  '6': '6',
-  '7': '7',
-  '8': '8',
-  '9': '9',
-
-  // Letters
-  'a': 'a', 'b': 'b', 'c': 'c', 'd': 'd', 'e': 'e',
-  'f': 'f', 'g': 'g', 'h': 'h', 'i': 'i', 'j': 'j',
-  'k': 'k', 'l': 'l', 'm': 'm', 'n': 'n', 'o': 'o',
-  'p': 'p', 'q': 'q', 'r': 'r', 's': 's', 't': 't',
-  'u': 'u', 'v': 'v', 'w': 'w', 'x': 'x', 'y': 'y', 'z': 'z'
-};
+ * Driver used for key presses
+ * KEYBOARD_DRIVER=<name> overrides the automatic choice (e.g. 'recording').
+ */
+let driver = process.env.KEYBOARD_DRIVER
+  ? drivers.getDriver(process.env.KEYBOARD_DRIVER)
+  : drivers.selectDriver();
+
+if (!driver) {
+  console.warn('No keystroke driver available - install robotjs, or xdotool (X11) / ydotool (Wayland) on Linux');
+}
+console.log(`Keystroke driver: ${driver ? driver.name : 'none'}`);
 
 /**
- * AppleScript key codes (fallback for macOS)
- */
-const APPLESCRIPT_KEY_CODES = {
-  'space': 49,
-  'escape': 53,
-  'tab': 48,
-  'left': 123,
-  'right': 124,
-  'down': 125,
-  'up': 126,
-  'pageup': 116,
-  'pagedown': 121,
-  'f1': 122,
-  'f2': 120,
-  'f3': 99,
-  'f4': 118,
-  'f5': 96,
-  'f6': 97,
-  'f7': 98,
-  'f8': 100,
-  'f9': 101,
-  'f10': 109,
-  '0': 29,
-  '1': 18,
-  '2': 19,
-  '3': 20,
-  '4': 21,
-  '5': 23,
-  '6': 22,
-  '7': 26,
-  '8': 28,
-  '9': 25,
-  'a': 0, 'b': 11, 'c': 8, 'd': 2, 'e': 14,
-  'f': 3, 'g': 5, 'h': 4, 'i': 34, 'j': 38,
-  'k': 40, 'l': 37, 'm': 46, 'n': 45, 'o': 31,
-  'p': 35, 'q': 12, 'r': 15, 's': 1, 't': 17,
-  'u': 32, 'v': 9, 'w': 13, 'x': 7, 'y': 16, 'z': 6
-};
+ * Modifier keys, in the order they are pressed
+ */
+const MODIFIER_KEYS = ['control', 'alt', 'shift', 'command'];
 
 /**
- * Zwift command descriptions for UI display
- */
-const COMMAND_DESCRIPTIONS = {
-  'space': 'Use Power-up',
-  'left': 'Turn Left',
-  'right': 'Turn Right',
-  'up': 'Go Straight',
-  'down': 'U-Turn',
-  'escape': 'Menu',
-  'tab': 'Skip Block',
-  'pageup': 'Increase Difficulty',
-  'pagedown': 'Decrease Difficulty',
-  'f10': 'Screenshot',
-  '0': 'Bring It / Panoramic',
-  '1': 'Camera 1',
-  '2': 'Camera 2',
-  '3': 'Camera 3',
-  '4': 'Elbow Flick',
-  '5': 'Wave',
-  '6': 'Ride On',
-  '7': 'Hammer Time',
-  '8': 'Toast',
-  '9': 'Nice',
-  'g': 'Toggle Graph',
-  'h': 'Hide UI',
-  't': 'Chat'
+ * Other names accepted in key specs
+ */
+const KEY_ALIASES = {
+  'ctrl': 'control',
+  'option': 'alt',
+  'opt': 'alt',
+  'cmd': 'command',
+  'meta': 'command',
+  'super': 'command',
+  'return': 'enter',
+  'esc': 'escape',
+  '-': 'minus',
+  '=': 'equal',
+  ',': 'comma',
+  '.': 'period',
+  '/': 'slash',
+  '\\': 'backslash',
+  ';': 'semicolon',
+  "'": 'quote',
+  '`': 'backquote',
+  '[': 'leftbracket',
+  ']': 'rightbracket'
 };
 
 /**
- * Simulate a single key press using robotjs
- * @param {string} key - The key to press
- * @returns {Promise<boolean>} - Success status
+ * Parse a key spec: a key name, optionally after modifiers joined with "+"
+ * ("g", "shift+g", "ctrl+alt+minus"). Case and aliases are normalized.
+ * @param {string} spec - Key spec
+ * @returns {object|null} - { key, modifiers, spec } with canonical names, or null if invalid
  */
-async function simulateKeyRobotjs(key) {
-  const robotKey = ROBOTJS_KEY_MAP[key.toLowerCase()];
-
-  if (!robotKey) {
-    console.warn(`Unknown key for robotjs: ${key}`);
-    return false;
+function parseKeySpec(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) {
+    return null;
   }
 
-  try {
-    // Key down
-    robot.keyToggle(robotKey, 'down');
-
-    // Configurable delay
-    await sleep(CONFIG.keyPressDelay);
+  const parts = spec.toLowerCase().split('+').map((part) => {
+    const name = part.trim();
+    return KEY_ALIASES[name] || name;
+  });
+  const key = parts.pop();
 
-    // Key up
-    robot.keyToggle(robotKey, 'up');
+  if (!ROBOTJS_KEY_MAP[key]) {
+    return null;
+  }
 
-    return true;
-  } catch (error) {
-    console.error(`robotjs error pressing ${key}:`, error.message);
-    return false;
+  const validModifiers = parts.every((part) => MODIFIER_KEYS.includes(part) && part !== key) &&
+    new Set(parts).size === parts.length;
+  if (!validModifiers) {
+    return null;
   }
+
+  const modifiers = MODIFIER_KEYS.filter((modifier) => parts.includes(modifier));
+  return { key, modifiers, spec: [...modifiers, key].join('+') };
 }
 
 /**
- * Simulate a key press using AppleScript (macOS fallback)
- * @param {string} key - The key to press
- * @returns {Promise<boolean>} - Success status
+ * Check whether a key spec can be pressed
+ * @param {string} spec - Key spec
+ * @returns {boolean}
  */
-async function simulateKeyAppleScript(key) {
-  const keyCode = APPLESCRIPT_KEY_CODES[key.toLowerCase()];
-
-  if (keyCode === undefined) {
-    console.warn(`Unknown key for AppleScript: ${key}`);
-    return false;
-  }
-
-  const script = `tell application "System Events" to key code ${keyCode}`;
-
-  try {
-    await execAsync(`osascript -e '${script}'`);
-    return true;
-  } catch (error) {
-    console.error(`AppleScript error pressing ${key}:`, error.message);
+function isValidKeySpec(spec) {
+  return parseKeySpec(spec) !== null;
+}
 
-    if (error.message.includes('not allowed') || error.message.includes('accessibility')) {
-      throw new Error('ACCESSIBILITY_PERMISSION_REQUIRED');
-    }
+/**
+ * Describe a key by the voice commands bound to it, for UI display
+ * Descriptions come from the command catalog so they stay in one place.
+ * @param {string} key - Key name
+ * @returns {string}
+ */
+function describeKey(key) {
+  const descriptions = getKeyDescriptions();
+  const parsed = parseKeySpec(key);
 
-    return false;
-  }
+  return descriptions[key.toLowerCase()] || (parsed && descriptions[parsed.spec]) || key;
 }
 
 /**
  * Main function to simulate a key press
- * Uses robotjs if available, falls back to AppleScript
+ * Sends through the current driver, subject to test mode and rate limiting
  * @param {string} key - The key to press
+ * @param {object} options - The command's { cooldownMs, minGapMs, coalesce },
+ *   and { priority, batch } used if the key has to queue (priority defaults to
+ *   the catalog's; batch is set by simulateKeys). `skipFocusGuard` sends it
+ *   whatever app is in front - for presses made from Settings, which is
+ *   itself in front.
  * @returns {Promise<object>} - Result with success status and details
  */
-async function simulateKey(key) {
+async function simulateKey(key, options = {}) {
   const timestamp = new Date();
-  const description = COMMAND_DESCRIPTIONS[key.toLowerCase()] || key;
+  const description = describeKey(key);
 
   // Test mode - log only
   if (CONFIG.testMode) {
@@ -245,38 +166,93 @@ async function simulateKey(key) {
     return result;
   }
 
+  // Per-command cooldown - don't queue a key that can't be sent
+  const coolingDown = checkCooldown(key, options.cooldownMs, description, timestamp);
+  if (coolingDown) {
+    return coolingDown;
+  }
+
   // Rate limiting check
   const now = Date.now();
   const timeSinceLastCommand = now - lastCommandTime;
 
-  if (timeSinceLastCommand < CONFIG.rateLimitMs) {
-    // Queue the command if within rate limit
-    if (commandQueue.length < CONFIG.maxQueueSize) {
-      return queueCommand(key);
-    } else {
-      const result = {
-        success: false,
-        key,
-        description,
-        timestamp,
-        error: 'Rate limit exceeded, queue full'
-      };
-      logCommand(result);
-      return result;
-    }
+  // Join the queue while it is non-empty so commands keep their order
+  if (timeSinceLastCommand < getMinGap(options) || commandQueue.length > 0) {
+    return queueCommand(key, options);
+  }
+
+  return executeKey(key, options);
+}
+
+/**
+ * Check the focus guard before a keystroke
+ * @param {string} key - Key about to be sent
+ * @param {string} description - Key description
+ * @param {Date} timestamp - When the command was received
+ * @returns {Promise<object|null>} - Blocked result, or null to go ahead
+ */
+async function checkFocus(key, description, timestamp) {
+  const check = await focus.ensureFocus(CONFIG.focusPolicy, CONFIG.targetApp);
+  if (check.allowed) {
+    return null;
+  }
+
+  const result = {
+    success: false,
+    blocked: true,
+    key,
+    description,
+    timestamp,
+    app: check.app,
+    error: check.error
+  };
+
+  logCommand(result);
+  console.log(`[${timestamp.toISOString()}] Blocked ${key}: ${check.error}`);
+  return result;
+}
+
+/**
+ * Send a key press through the current driver, bypassing rate limiting
+ * The command's cooldown is checked again here - a queued key may have
+ * started cooling down while it waited.
+ * @param {string} key - The key to press
+ * @param {object} options - The command's { cooldownMs }, and { skipFocusGuard }
+ * @returns {Promise<object>} - Result with success status and details
+ */
+async function executeKey(key, options = {}) {
+  const timestamp = new Date();
+  const description = describeKey(key);
+
+  const coolingDown = checkCooldown(key, options.cooldownMs, description, timestamp);
+  if (coolingDown) {
+    processQueue();
+    return coolingDown;
   }
 
   // Execute the key press
   let success = false;
-  let method = 'unknown';
+  const method = driver ? driver.name : 'none';
 
   try {
-    if (robotAvailable) {
-      success = await simulateKeyRobotjs(key);
-      method = 'robotjs';
-    } else {
-      success = await simulateKeyAppleScript(key);
-      method = 'applescript';
+    if (!driver) {
+      throw new Error('No keystroke driver available');
+    }
+
+    const parsed = parseKeySpec(key);
+    if (!parsed) {
+      throw new Error(`Unknown key: ${key}`);
+    }
+
+    const blocked = !options.skipFocusGuard && await checkFocus(key, description, timestamp);
+    if (blocked) {
+      processQueue();
+      return blocked;
+    }
+
+    success = await driver.press(parsed.key, CONFIG.keyPressDelay, parsed.modifiers);
+    if (success) {
+      lastPressed.set(parsed.spec, Date.now());
     }
   } catch (error) {
     const result = {
@@ -312,33 +288,238 @@ async function simulateKey(key) {
   return result;
 }
 
+/**
+ * Get the gap a key needs after the previous key - the global rate limit,
+ * or the command's own minGapMs if that is longer
+ * @param {object} options - { minGapMs }
+ * @returns {number} - Milliseconds
+ */
+function getMinGap({ minGapMs = 0 } = {}) {
+  return Math.max(CONFIG.rateLimitMs, minGapMs);
+}
+
+/**
+ * Check a command's cooldown before sending its key
+ * @param {string} key - Key about to be sent
+ * @param {number} cooldownMs - The command's cooldown (none if not set)
+ * @param {string} description - Key description
+ * @param {Date} timestamp - When the command was received
+ * @returns {object|null} - Cooling down result, or null to go ahead
+ */
+function checkCooldown(key, cooldownMs, description, timestamp) {
+  const parsed = parseKeySpec(key);
+  if (!cooldownMs || !parsed || !lastPressed.has(parsed.spec)) {
+    return null;
+  }
+
+  const retryInMs = lastPressed.get(parsed.spec) + cooldownMs - Date.now();
+  if (retryInMs <= 0) {
+    return null;
+  }
+
+  const seconds = `${(retryInMs / 1000).toFixed(1)}s`;
+  const result = {
+    success: false,
+    coolingDown: true,
+    key,
+    description,
+    timestamp,
+    retryInMs,
+    error: `Cooling down - ready again in ${seconds}`,
+    message: `Cooling down: ${key} (${seconds} left)`
+  };
+
+  logCommand(result);
+  console.log(`[${timestamp.toISOString()}] ${result.message}`);
+  return result;
+}
+
+/**
+ * Simulate several key presses as one ordered batch
+ * The first key runs immediately if the rate limit allows, the rest are
+ * queued behind it in order. Repeats within a batch ("harder three times")
+ * are kept even though the keys match.
+ * @param {Array} keys - Keys (or { key, priority, cooldownMs, minGapMs, coalesce })
+ *   to press, in order
+ * @returns {Promise<object[]>} - One result per key
+ */
+async function simulateKeys(keys) {
+  const results = [];
+  const batch = {};
+
+  for (const item of keys) {
+    const { key, ...options } = typeof item === 'string' ? { key: item } : item;
+    results.push(await simulateKey(key, { ...options, batch }));
+  }
+
+  return results;
+}
+
+/**
+ * Get a key's priority from the catalog (1 = racing, 3 = other)
+ * Used when the caller doesn't know which command the key is for.
+ * @param {string} key - Key spec
+ * @returns {number}
+ */
+function getKeyPriority(key) {
+  const priorities = getKeyPriorities();
+  const parsed = parseKeySpec(key);
+
+  return priorities[key.toLowerCase()] || (parsed && priorities[parsed.spec]) || 3;
+}
+
 /**
  * Queue a command for later execution
+ * Between commands the queue is kept in priority order, so racing commands
+ * jump ahead of emotes; keys of one batch always stay in the order spoken.
+ * A coalescing command's key (emotes, "ride on") isn't queued twice, and
+ * when the queue is full a new command bumps the least urgent one if it is
+ * more urgent itself.
  * @param {string} key - The key to queue
+ * @param {object} options - { priority, batch, coalesce, cooldownMs, minGapMs } (see simulateKey)
  * @returns {object} - Queue status
  */
-function queueCommand(key) {
+function queueCommand(key, options = {}) {
+  const { priority = getKeyPriority(key), batch = null, coalesce = false } = options;
+  const sameBatch = (entry) => batch !== null && entry.batch === batch;
   const timestamp = new Date();
-  const description = COMMAND_DESCRIPTIONS[key.toLowerCase()] || key;
+  const description = describeKey(key);
 
-  commandQueue.push({ key, timestamp });
+  const queued = (entry, extra) => ({
+    success: true,
+    queued: true,
+    key,
+    description,
+    timestamp,
+    queueId: entry.id,
+    queuePosition: commandQueue.indexOf(entry) + 1,
+    ...extra
+  });
+
+  // Coalesce with the same key queued by an earlier command - repeats add
+  // nothing for these
+  const duplicate = coalesce && commandQueue.find((entry) => entry.key === key && entry.options.coalesce && !sameBatch(entry));
+  if (duplicate) {
+    dropCounts.coalesced++;
+    console.log(`Command coalesced: ${key} is already queued`);
+    return queued(duplicate, {
+      coalesced: true,
+      message: `Already queued: ${key} (position ${commandQueue.indexOf(duplicate) + 1})`
+    });
+  }
+
+  if (commandQueue.length >= CONFIG.maxQueueSize) {
+    const last = commandQueue[commandQueue.length - 1];
+
+    if (last.priority <= priority || sameBatch(last)) {
+      const result = {
+        success: false,
+        key,
+        description,
+        timestamp,
+        error: 'Rate limit exceeded, queue full'
+      };
+      logCommand(result);
+      return result;
+    }
+
+    commandQueue.pop();
+    dropQueued(last, 'displaced', `Bumped from the queue by ${description}`);
+  }
 
-  console.log(`Command queued: ${key} (queue size: ${commandQueue.length})`);
+  // After everything at least as urgent, so equal priorities keep their
+  // order, and never ahead of keys from the same batch
+  const lessUrgent = commandQueue.findIndex((queuedEntry) => queuedEntry.priority > priority);
+  const afterBatch = commandQueue.map(sameBatch).lastIndexOf(true) + 1;
+  const index = Math.max(lessUrgent === -1 ? commandQueue.length : lessUrgent, afterBatch);
+
+  // Expected send time: after the keys ahead of it, each spaced by its gap
+  const dueAt = commandQueue
+    .slice(0, index)
+    .reduce((time, queuedEntry) => time + getMinGap(queuedEntry.options), lastCommandTime) + getMinGap(options);
+
+  const entry = { id: ++lastQueueId, key, timestamp, priority, batch, options, dueAt: Math.max(dueAt, Date.now()) };
+  commandQueue.splice(index, 0, entry);
+
+  console.log(`Command queued: ${key} (priority ${priority}, queue size: ${commandQueue.length})`);
 
   // Start processing if not already running
   if (!isProcessingQueue) {
     setTimeout(() => processQueue(), CONFIG.rateLimitMs);
   }
 
-  return {
-    success: true,
-    queued: true,
-    key,
-    description,
-    timestamp,
-    queuePosition: commandQueue.length,
-    message: `Queued: ${key} (position ${commandQueue.length})`
+  return queued(entry, { message: `Queued: ${key} (position ${commandQueue.indexOf(entry) + 1})` });
+}
+
+/**
+ * Report a queued command that was dropped
+ * @param {object} entry - Queue entry
+ * @param {string} reason - 'expired' or 'displaced'
+ * @param {string} error - Shown to the user
+ */
+function dropQueued(entry, reason, error) {
+  dropCounts[reason]++;
+
+  const result = {
+    success: false,
+    dropped: true,
+    reason,
+    queueId: entry.id,
+    key: entry.key,
+    description: describeKey(entry.key),
+    timestamp: new Date(),
+    error,
+    message: `Dropped ${entry.key}: ${error}`
   };
+
+  logCommand(result);
+  console.log(result.message);
+  emitQueueResult(result);
+}
+
+/**
+ * Drop queued commands running more than the queue TTL behind their
+ * expected send time (pushed back by more urgent commands)
+ * A "turn left" that fires after the junction is worse than none, but a
+ * command's own repeats waiting their turn aren't late.
+ */
+function dropExpired() {
+  const now = Date.now();
+
+  commandQueue = commandQueue.filter((entry) => {
+    if (now - entry.dueAt <= CONFIG.queueTtlMs) {
+      return true;
+    }
+    const age = now - entry.timestamp.getTime();
+    dropQueued(entry, 'expired', `Expired after ${(age / 1000).toFixed(1)}s in the queue`);
+    return false;
+  });
+}
+
+/**
+ * Send a result that happened after its command returned (a queued key was
+ * pressed or dropped) to the queue listeners
+ * Carries the queueId from the key's "queued" result.
+ * @param {object} result - Result from keyboard.js
+ */
+function emitQueueResult(result) {
+  queueListeners.forEach((listener) => {
+    try {
+      listener(result);
+    } catch (error) {
+      console.error('Queue listener error:', error);
+    }
+  });
+}
+
+/**
+ * Listen for results of queued commands - presses and drops
+ * @param {Function} listener - Called with each result
+ * @returns {Function} - Call to stop listening
+ */
+function onQueueResult(listener) {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
 }
 
 /**
@@ -352,21 +533,248 @@ async function processQueue() {
   isProcessingQueue = true;
 
   while (commandQueue.length > 0) {
+    dropExpired();
+    if (commandQueue.length === 0) break;
+
     const now = Date.now();
     const timeSinceLastCommand = now - lastCommandTime;
+    const minGap = getMinGap(commandQueue[0].options);
 
-    if (timeSinceLastCommand >= CONFIG.rateLimitMs) {
-      const { key } = commandQueue.shift();
-      await simulateKey(key);
+    if (timeSinceLastCommand >= minGap) {
+      const { id, key, options } = commandQueue.shift();
+      emitQueueResult({ ...(await executeKey(key, options)), queueId: id });
     } else {
       // Wait for rate limit
-      await sleep(CONFIG.rateLimitMs - timeSinceLastCommand);
+      await sleep(minGap - timeSinceLastCommand);
     }
   }
 
   isProcessingQueue = false;
 }
 
+/**
+ * Press a key spec's modifiers and key down, undoing them if any step fails
+ * @param {object} keyDriver - Driver to use
+ * @param {object} parsed - Parsed key spec
+ * @returns {Promise<boolean>} - Success status
+ */
+async function pressDown(keyDriver, parsed) {
+  const down = [];
+
+  try {
+    for (const name of [...parsed.modifiers, parsed.key]) {
+      if (!(await keyDriver.down(name))) {
+        break;
+      }
+      down.push(name);
+    }
+  } finally {
+    if (down.length <= parsed.modifiers.length) {
+      for (const name of down.reverse()) {
+        await keyDriver.up(name);
+      }
+    }
+  }
+
+  return down.length === parsed.modifiers.length + 1;
+}
+
+/**
+ * Let go of a key spec's key, then its modifiers
+ * Keeps going if one release fails, so nothing else stays stuck.
+ * @param {object} keyDriver - Driver the key was pressed with
+ * @param {object} parsed - Parsed key spec
+ * @returns {Promise<boolean>} - True if every release worked
+ */
+async function liftUp(keyDriver, parsed) {
+  let success = true;
+
+  for (const name of [parsed.key, ...[...parsed.modifiers].reverse()]) {
+    try {
+      success = (await keyDriver.up(name)) && success;
+    } catch (error) {
+      console.error(`Could not release ${name}:`, error.message);
+      success = false;
+    }
+  }
+
+  return success;
+}
+
+/**
+ * Hold a key down and release it after a duration
+ * Holding a key that is already held restarts its timer. Not rate limited,
+ * so steering starts as soon as it is spoken.
+ * @param {string} key - Key spec to hold
+ * @param {number} durationMs - How long to hold (capped at maxHoldMs)
+ * @param {object} options - { skipFocusGuard } (see simulateKey)
+ * @returns {Promise<object>} - Result with success status and details
+ */
+async function holdKey(key, durationMs, options = {}) {
+  const timestamp = new Date();
+  const description = describeKey(key);
+  const parsed = parseKeySpec(key);
+  const holdMs = Math.max(0, Math.min(CONFIG.maxHoldMs, Math.round(durationMs)));
+  const seconds = `${+(holdMs / 1000).toFixed(1)}s`;
+
+  const fail = (error) => {
+    const result = { success: false, key, description, timestamp, error };
+    logCommand(result);
+    return result;
+  };
+
+  if (!parsed) {
+    return fail(`Unknown key: ${key}`);
+  }
+
+  // Test mode - log only
+  if (CONFIG.testMode) {
+    const result = {
+      success: true,
+      testMode: true,
+      held: true,
+      key,
+      description,
+      timestamp,
+      holdMs,
+      message: `TEST MODE: Would hold ${key} for ${seconds} (${description})`
+    };
+
+    logCommand(result);
+    console.log(result.message);
+    return result;
+  }
+
+  const held = heldKeys.get(parsed.spec);
+  const holdDriver = held ? held.driver : driver;
+
+  if (!held) {
+    if (!holdDriver) {
+      return fail('No keystroke driver available');
+    }
+
+    const blocked = !options.skipFocusGuard && await checkFocus(key, description, timestamp);
+    if (blocked) {
+      return blocked;
+    }
+
+    try {
+      if (!(await pressDown(holdDriver, parsed))) {
+        return fail(`Failed to hold ${key}`);
+      }
+    } catch (error) {
+      return fail(error.message);
+    }
+  } else {
+    clearTimeout(held.timer);
+  }
+
+  heldKeys.set(parsed.spec, {
+    parsed,
+    driver: holdDriver,
+    since: held ? held.since : Date.now(),
+    until: Date.now() + holdMs,
+    timer: setTimeout(() => releaseKey(parsed.spec), holdMs)
+  });
+  lastCommandTime = Date.now();
+
+  const result = {
+    success: true,
+    held: true,
+    key,
+    description,
+    timestamp,
+    method: holdDriver.name,
+    holdMs,
+    message: `Holding ${key} for ${seconds} (${description})`
+  };
+
+  logCommand(result);
+  console.log(`[${timestamp.toISOString()}] ${result.message}`);
+  return result;
+}
+
+/**
+ * Release a held key early (or when its time is up)
+ * @param {string} key - Key spec that was held
+ * @returns {Promise<object|null>} - Result, or null if the key wasn't held
+ */
+async function releaseKey(key) {
+  const parsed = parseKeySpec(key);
+  const held = parsed && heldKeys.get(parsed.spec);
+
+  if (!held) {
+    return null;
+  }
+
+  clearTimeout(held.timer);
+  heldKeys.delete(parsed.spec);
+
+  const success = await liftUp(held.driver, held.parsed);
+  const timestamp = new Date();
+  const result = {
+    success,
+    released: true,
+    key: parsed.spec,
+    description: describeKey(parsed.spec),
+    timestamp,
+    method: held.driver.name,
+    heldMs: timestamp.getTime() - held.since,
+    message: success ? `Released ${parsed.spec}` : `Failed to release ${parsed.spec}`
+  };
+
+  logCommand(result);
+  console.log(`[${timestamp.toISOString()}] ${result.message}`);
+  return result;
+}
+
+/**
+ * Release every held key (on "release", when listening stops, before quitting)
+ * @returns {Promise<object[]>} - One result per released key
+ */
+async function releaseAll() {
+  const results = [];
+
+  for (const key of [...heldKeys.keys()]) {
+    results.push(await releaseKey(key));
+  }
+
+  return results;
+}
+
+/**
+ * Get the keys currently held down
+ * @returns {Array} - [{ key, until }]
+ */
+function getHeldKeys() {
+  return [...heldKeys.entries()].map(([key, held]) => ({ key, until: held.until }));
+}
+
+/**
+ * Drop every command still waiting in the queue
+ * Keys already pressed are not affected.
+ * @returns {object[]} - One cancelled result per dropped key, in queue order
+ */
+function cancelPending() {
+  const cancelled = commandQueue.splice(0).map(({ id, key }) => {
+    const result = {
+      success: false,
+      cancelled: true,
+      queueId: id,
+      key,
+      description: describeKey(key),
+      timestamp: new Date(),
+      error: 'Cancelled',
+      message: `Cancelled: ${key}`
+    };
+    logCommand(result);
+    return result;
+  });
+
+  console.log(`Cancelled ${cancelled.length} pending command(s)`);
+  return cancelled;
+}
+
 /**
  * Log a command to history
  * @param {object} result - Command result
@@ -382,14 +790,6 @@ function logCommand(result) {
   }
 }
 
-/**
- * Helper function to sleep
- * @param {number} ms - Milliseconds to sleep
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Press a key (alias for simulateKey for backward compatibility)
  * @param {string} key - The key to press
@@ -402,6 +802,8 @@ async function pressKey(key) {
 
 /**
  * Test a specific key press
+ * Settings is in front while its test buttons are clicked, so the focus
+ * guard is skipped.
  * @param {string} key - The key to test
  * @returns {Promise<boolean>} - Success status
  */
@@ -410,7 +812,7 @@ async function testKey(key) {
   const savedLastTime = lastCommandTime;
   lastCommandTime = 0;
 
-  const result = await simulateKey(key);
+  const result = await simulateKey(key, { skipFocusGuard: true });
 
   // Restore (or not, since we just pressed a key)
   if (!result.success) {
@@ -445,6 +847,23 @@ function setNotificationsEnabled(enabled) {
   CONFIG.notificationsEnabled = enabled;
 }
 
+/**
+ * Set the focus guard
+ * @param {string} policy - 'block', 'focus' or 'allow'
+ * @param {string} targetApp - App that should be in front
+ */
+function setFocusGuard(policy, targetApp) {
+  if (focus.FOCUS_POLICIES.includes(policy)) {
+    CONFIG.focusPolicy = policy;
+  }
+  if (typeof targetApp === 'string' && targetApp.trim()) {
+    CONFIG.targetApp = targetApp.trim();
+  }
+  console.log(CONFIG.focusPolicy === 'allow'
+    ? 'Focus guard off'
+    : `Focus guard: ${CONFIG.focusPolicy} unless ${CONFIG.targetApp} is in front`);
+}
+
 /**
  * Get notifications enabled status
  * @returns {boolean} - Notifications enabled status
@@ -494,14 +913,15 @@ function clearCommandHistory() {
 
 /**
  * Get command descriptions
- * @returns {object} - Command descriptions
+ * @returns {object} - key → description, from the active command catalog
  */
 function getCommands() {
-  return COMMAND_DESCRIPTIONS;
+  return getKeyDescriptions();
 }
 
 /**
  * Get all available keys
+ * Any of them can follow modifiers in a key spec (see parseKeySpec).
  * @returns {Array} - List of available keys
  */
 function getAvailableKeys() {
@@ -510,10 +930,45 @@ function getAvailableKeys() {
 
 /**
  * Check if robotjs is available
+ * When it isn't, getBackend() tells which driver is used instead.
  * @returns {boolean} - robotjs availability
  */
 function isRobotjsAvailable() {
-  return robotAvailable;
+  return drivers.getDriver('robotjs').isAvailable();
+}
+
+/**
+ * Get the name of the driver used for key presses
+ * @returns {string|null} - 'robotjs', 'applescript', 'xdotool', 'ydotool', 'recording' or null if none works here
+ */
+function getBackend() {
+  return driver ? driver.name : null;
+}
+
+/**
+ * Get the driver used for key presses
+ * @returns {object|null}
+ */
+function getDriver() {
+  return driver;
+}
+
+/**
+ * Switch the driver used for key presses
+ * @param {object|string} nextDriver - A driver, or the name of a registered one
+ * @returns {boolean} - True if the driver was switched
+ */
+function setDriver(nextDriver) {
+  const resolved = typeof nextDriver === 'string' ? drivers.getDriver(nextDriver) : nextDriver;
+
+  if (!resolved) {
+    console.warn(`Unknown keystroke driver: ${nextDriver}`);
+    return false;
+  }
+
+  driver = resolved;
+  console.log(`Keystroke driver: ${driver.name}`);
+  return true;
 }
 
 /**
@@ -521,7 +976,7 @@ function isRobotjsAvailable() {
  * @returns {object} - Current config
  */
 function getConfig() {
-  return { ...CONFIG };
+  return { ...CONFIG, backend: getBackend() };
 }
 
 /**
@@ -529,28 +984,49 @@ function getConfig() {
  * @returns {object} - Queue status
  */
 function getQueueStatus() {
+  const now = Date.now();
+
   return {
     size: commandQueue.length,
     maxSize: CONFIG.maxQueueSize,
-    isProcessing: isProcessingQueue
+    ttlMs: CONFIG.queueTtlMs,
+    isProcessing: isProcessingQueue,
+    entries: commandQueue.map((entry) => ({
+      key: entry.key,
+      priority: entry.priority,
+      ageMs: now - entry.timestamp.getTime()
+    })),
+    dropped: { ...dropCounts }
   };
 }
 
 module.exports = {
   // Core functions
   simulateKey,
+  simulateKeys,
+  cancelPending,
+  onQueueResult,
+  holdKey,
+  releaseKey,
+  releaseAll,
+  getHeldKeys,
   pressKey,
   testKey,
+  parseKeySpec,
+  isValidKeySpec,
 
   // Configuration
   setTestMode,
   isTestMode,
   setNotificationsEnabled,
+  setFocusGuard,
   areNotificationsEnabled,
   setRateLimit,
   getRateLimit,
   setKeyPressDelay,
   getConfig,
+  getDriver,
+  setDriver,
 
   // History and status
   getCommandHistory,
@@ -558,10 +1034,12 @@ module.exports = {
   getCommands,
   getAvailableKeys,
   isRobotjsAvailable,
+  getBackend,
   getQueueStatus,
 
   // Constants
-  COMMAND_DESCRIPTIONS,
   ROBOTJS_KEY_MAP,
-  APPLESCRIPT_KEY_CODES
+  APPLESCRIPT_KEY_CODES,
+  LINUX_KEY_MAP,
+  MODIFIER_KEYS
 };
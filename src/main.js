@@ -1,6 +1,13 @@
 const { app, BrowserWindow, Tray, Menu, nativeImage, ipcMain, systemPreferences, dialog } = require('electron');
 const path = require('path');
 const { exec } = require('child_process');
+const matcher = require('./matcher');
+const catalog = require('./catalog');
+const checker = require('./checker');
+const settingsStore = require('./settings');
+const autostart = require('./autostart');
+const shortcuts = require('./shortcuts');
+const { createStore } = require('./state');
 
 // Permission status
 let permissionStatus = {
@@ -17,19 +24,63 @@ if (!gotTheLock) {
 // Keep references to prevent garbage collection
 let tray = null;
 let settingsWindow = null;
-let isListening = false;
+let recognizerWindow = null;
+
+// Recognizer state (reported by the hidden recognizer window)
+let recognizerState = {
+  ready: false,
+  supported: true,
+  listening: false,
+  gate: { enabled: false, open: false }
+};
 
-// Voice settings
-let voiceSettings = {
-  confidenceThreshold: 0.75,
+// Shared app state - only changed through setAppState(), and every change is
+// broadcast to all windows and the tray by onAppStateChanged()
+const appState = createStore({
+  listening: false,
   trainerMode: false,
+  threshold: 0.75,
+  testMode: false,
+  rateLimitMs: 300,
+  profile: { name: 'standard', threshold: 0.75 }, // Threshold actually in effect
+  muted: false,       // Commands ignored until unmuted (not persisted)
+  pushToTalk: false,  // A talk window shortcut is registered
+  talking: false      // ...and it is held
+});
+
+// Shortcuts that couldn't be registered: action → error message
+let shortcutErrors = {};
+
+// Voice settings (persisted fields are loaded from the settings store at startup;
+// threshold and trainer mode live in appState)
+let voiceSettings = {
   trainerModeThreshold: 0.80,
-  lowConfidenceThreshold: 0.65
+  lowConfidenceThreshold: 0.65,
+  maxRepeat: 5,
+  wakeWordEnabled: false,
+  wakeWord: 'zwift',
+  confirmationEnabled: true,  // "yes" / "no" answers a low-confidence suggestion
+  confirmationEarcon: true
 };
 
 // Import modules (will be initialized after app is ready)
 let keyboard = null;
 
+// Keys of the most recent command(s) - what "undo" reverses
+// [{ command, queueId, pressed }], one per key; queued keys count once pressed
+let lastDispatch = [];
+
+// Hold time for hold commands that don't set holdMs
+const DEFAULT_HOLD_MS = 1000;
+
+// Recognizer crash recovery: wait 1s, 2s, 4s... between restarts and give up
+// after a few in a row; a window that stayed up for a minute resets the count
+const RECOGNIZER_RESTART_DELAY_MS = 1000;
+const RECOGNIZER_MAX_RESTARTS = 5;
+const RECOGNIZER_STABLE_MS = 60000;
+let recognizerRestarts = 0;
+let recognizerRestartTimer = null;
+
 /**
  * Check microphone permission status
  * @returns {Promise<string>} - 'granted', 'denied', or 'not-determined'
@@ -194,6 +245,341 @@ function createSettingsWindow() {
   });
 }
 
+/**
+ * Create the hidden recognizer window
+ * Hosts the Web Speech API recognizer and command matcher independently of
+ * the settings window. Only loads local content, so Node integration is safe here.
+ */
+function createRecognizerWindow() {
+  const win = new BrowserWindow({
+    show: false,
+    skipTaskbar: true,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+      backgroundThrottling: false
+    }
+  });
+  recognizerWindow = win;
+  const createdAt = Date.now();
+
+  win.loadFile(path.join(__dirname, 'recognizer.html'));
+
+  // A crashed window can close after its replacement is created - leave that one alone
+  win.on('closed', () => {
+    if (recognizerWindow === win) {
+      recognizerWindow = null;
+      updateRecognizerState({ ready: false, listening: false });
+    }
+  });
+
+  // Recreate the recognizer if its renderer dies, backing off between tries
+  win.webContents.on('render-process-gone', (event, details) => {
+    if (recognizerWindow !== win) {
+      return;
+    }
+    recognizerWindow = null;
+    updateRecognizerState({ ready: false, listening: false });
+    win.destroy();
+
+    if (Date.now() - createdAt > RECOGNIZER_STABLE_MS) {
+      recognizerRestarts = 0;
+    }
+
+    if (recognizerRestarts >= RECOGNIZER_MAX_RESTARTS) {
+      console.error(`Recognizer process gone (${details.reason}) after ${recognizerRestarts} restarts, giving up`);
+      updateRecognizerState({ supported: false });
+      stopListening();
+      return;
+    }
+
+    const delay = RECOGNIZER_RESTART_DELAY_MS * Math.pow(2, recognizerRestarts);
+    recognizerRestarts++;
+    console.error(`Recognizer process gone (${details.reason}), restarting in ${delay / 1000}s`);
+
+    recognizerRestartTimer = setTimeout(() => {
+      recognizerRestartTimer = null;
+      if (!app.isQuitting) {
+        createRecognizerWindow();
+      }
+    }, delay);
+  });
+}
+
+/**
+ * Send a message to the recognizer window if it is loaded
+ * @param {string} channel - IPC channel
+ * @param {...*} args - Message arguments
+ */
+function sendToRecognizer(channel, ...args) {
+  if (recognizerWindow && recognizerState.ready) {
+    recognizerWindow.webContents.send(channel, ...args);
+  }
+}
+
+/**
+ * Update recognizer state and notify the settings window
+ * @param {object} changes - Changed state fields
+ */
+function updateRecognizerState(changes) {
+  recognizerState = { ...recognizerState, ...changes };
+
+  if (settingsWindow) {
+    settingsWindow.webContents.send('recognizer-state-changed', recognizerState);
+  }
+}
+
+/**
+ * Push current voice settings to the recognizer
+ */
+function sendVoiceSettings() {
+  const { threshold, trainerMode } = appState.get();
+  sendToRecognizer('voice-settings-changed', { ...voiceSettings, confidenceThreshold: threshold, trainerMode });
+}
+
+/**
+ * Change app state
+ * Keeps the derived recognition profile in step with trainer mode and threshold.
+ * @param {object} changes - Changed appState fields
+ */
+function setAppState(changes) {
+  const next = { ...appState.get(), ...changes };
+  appState.set({ ...changes, profile: getRecognitionProfile(next) });
+}
+
+/**
+ * Work out which threshold is in effect
+ * @param {object} state - { trainerMode, threshold }
+ * @returns {object} - { name: 'standard'|'trainer', threshold }
+ */
+function getRecognitionProfile({ trainerMode, threshold }) {
+  return trainerMode
+    ? { name: 'trainer', threshold: voiceSettings.trainerModeThreshold }
+    : { name: 'standard', threshold };
+}
+
+/**
+ * Work out whether the recognizer should act on commands
+ * @param {object} state - { muted, pushToTalk, talking }
+ * @returns {object} - { accepting, reason }
+ */
+function getAcceptingState({ muted, pushToTalk, talking }) {
+  if (muted) {
+    return { accepting: false, reason: 'muted' };
+  }
+  if (pushToTalk && !talking) {
+    return { accepting: false, reason: 'talk-window' };
+  }
+  return { accepting: true, reason: null };
+}
+
+/**
+ * Apply, persist and broadcast an app state change
+ * @param {object} state - New state
+ * @param {object} changed - Fields that changed
+ */
+function onAppStateChanged(state, changed) {
+  if ('listening' in changed) {
+    sendToRecognizer(state.listening ? 'recognizer-start' : 'recognizer-stop');
+    console.log(`Voice recognition ${state.listening ? 'started' : 'stopped'}`);
+
+    // Nothing can say "release" any more
+    if (!state.listening) {
+      releaseHeldKeys();
+    }
+  }
+
+  if ('trainerMode' in changed || 'threshold' in changed) {
+    settingsStore.updateSettings('voice', {
+      trainerMode: state.trainerMode,
+      confidenceThreshold: state.threshold
+    });
+    sendVoiceSettings();
+  }
+
+  if ('testMode' in changed || 'rateLimitMs' in changed) {
+    if (keyboard) {
+      keyboard.setTestMode(state.testMode);
+      keyboard.setRateLimit(state.rateLimitMs);
+    }
+    settingsStore.updateSettings('keyboard', {
+      testMode: state.testMode,
+      rateLimitMs: state.rateLimitMs
+    });
+  }
+
+  if ('muted' in changed || 'pushToTalk' in changed || 'talking' in changed) {
+    sendToRecognizer('recognizer-accepting', getAcceptingState(state));
+  }
+
+  updateTrayState();
+  BrowserWindow.getAllWindows().forEach((window) => {
+    window.webContents.send('app-state-changed', state);
+  });
+}
+
+appState.subscribe(onAppStateChanged);
+
+/**
+ * Change voice settings, persist them and push them to the recognizer
+ * @param {object} changes - Changed voiceSettings fields
+ */
+function updateVoiceSettings(changes) {
+  voiceSettings = { ...voiceSettings, ...changes };
+  settingsStore.updateSettings('voice', changes);
+  sendVoiceSettings();
+}
+
+/**
+ * Load persisted settings and apply them to voice and keyboard
+ */
+function initSettings() {
+  applySettings(settingsStore.initSettings(path.join(app.getPath('userData'), 'settings.json')));
+}
+
+/**
+ * Register the global shortcuts from the settings store
+ */
+function initShortcuts() {
+  shortcutErrors = shortcuts.registerShortcuts(settingsStore.getSettings().shortcuts, {
+    toggleListening: () => {
+      if (appState.get().listening) {
+        stopListening();
+      } else {
+        startListening();
+      }
+    },
+    mute: () => {
+      const muted = !appState.get().muted;
+      setAppState({ muted });
+      console.log(`Commands ${muted ? 'muted' : 'unmuted'}`);
+    },
+    pushToTalk: {
+      onOpen: () => setAppState({ talking: true }),
+      onClose: () => setAppState({ talking: false })
+    }
+  });
+
+  setAppState({
+    pushToTalk: Boolean(shortcuts.getRegisteredShortcuts().pushToTalk),
+    talking: false
+  });
+}
+
+/**
+ * Get shortcut bindings and registration problems for the Settings window
+ * @returns {object} - { bindings, errors }
+ */
+function getShortcutStatus() {
+  return {
+    bindings: settingsStore.getSettings().shortcuts,
+    errors: shortcutErrors
+  };
+}
+
+/**
+ * Bring the saved launch at startup setting in line with the system
+ * The login item can be removed outside the app, so the system wins.
+ */
+function initAutostart() {
+  if (!autostart.isAutostartSupported()) {
+    return;
+  }
+
+  const enabled = autostart.isAutostartEnabled();
+  if (enabled !== settingsStore.getSettings().general.launchAtStartup) {
+    settingsStore.updateSettings('general', { launchAtStartup: enabled });
+  }
+
+  // Rewrite the entry so it points at this copy of the app
+  if (enabled && process.platform === 'linux') {
+    autostart.setAutostart(true);
+  }
+}
+
+/**
+ * Apply stored settings to voice and keyboard
+ * @param {object} settings - Settings from the settings store
+ */
+function applySettings(settings) {
+  const { confidenceThreshold, trainerMode, ...voice } = settings.voice;
+  voiceSettings = { ...voiceSettings, ...voice };
+
+  keyboard.setNotificationsEnabled(settings.keyboard.notificationsEnabled);
+  keyboard.setFocusGuard(settings.keyboard.focusPolicy, settings.keyboard.targetApp);
+
+  setAppState({
+    trainerMode,
+    threshold: confidenceThreshold,
+    testMode: settings.keyboard.testMode,
+    rateLimitMs: settings.keyboard.rateLimitMs
+  });
+}
+
+/**
+ * Load the user command catalog and reload it when the file changes
+ */
+function initCommandCatalog() {
+  catalog.initCatalog(path.join(app.getPath('userData'), 'commands.json'), {
+    isValidKey: keyboard.isValidKeySpec
+  });
+
+  logCatalogWarnings();
+
+  catalog.watchCatalog(() => {
+    logCatalogWarnings();
+    broadcastCatalog();
+  });
+}
+
+/**
+ * Send the current catalog to the recognizer and the settings window
+ */
+function broadcastCatalog() {
+  sendToRecognizer('voice-commands-changed', catalog.getActiveCommands());
+  if (settingsWindow) {
+    settingsWindow.webContents.send('voice-commands-changed', getCatalogStatus());
+  }
+}
+
+/**
+ * Apply a catalog edit from the settings window
+ * @param {object} result - { success, errors } from the catalog
+ * @returns {object} - The same result
+ */
+function applyCatalogEdit(result) {
+  if (result.success) {
+    broadcastCatalog();
+  } else {
+    console.warn('Command catalog edit rejected:', result.errors.join('; '));
+  }
+  return result;
+}
+
+/**
+ * Get catalog status including consistency warnings
+ * @returns {object} - { path, errors, builtIn, warnings }
+ */
+function getCatalogStatus() {
+  return {
+    ...catalog.getCatalogStatus(),
+    warnings: checker.checkCatalog(catalog.getActiveCommands(), {
+      keyCodes: keyboard ? keyboard.APPLESCRIPT_KEY_CODES : null
+    })
+  };
+}
+
+/**
+ * Log catalog consistency warnings
+ */
+function logCatalogWarnings() {
+  const { warnings } = getCatalogStatus();
+  if (warnings.length > 0) {
+    console.warn(`Command catalog has ${warnings.length} warning(s):`);
+    warnings.forEach((warning) => console.warn(`  [${warning.type}] ${warning.message}`));
+  }
+}
+
 /**
  * Get the appropriate tray icon based on listening state
  */
@@ -253,6 +639,8 @@ function createFallbackIcon(listening = false) {
  * Build the tray context menu
  */
 function buildTrayMenu() {
+  const { listening, trainerMode, testMode, muted } = appState.get();
+
   return Menu.buildFromTemplate([
     {
       label: 'Zwift Voice Control',
@@ -270,46 +658,28 @@ function buildTrayMenu() {
     },
     { type: 'separator' },
     {
-      label: isListening ? '● Listening...' : 'Start Listening',
-      click: () => {
-        if (!isListening) {
-          startListening();
-        }
-      },
-      enabled: !isListening
+      label: listening ? '● Listening...' : 'Start Listening',
+      click: () => startListening(),
+      enabled: !listening
     },
     {
       label: 'Stop Listening',
-      click: () => {
-        if (isListening) {
-          stopListening();
-        }
-      },
-      enabled: isListening
+      click: () => stopListening(),
+      enabled: listening
     },
     { type: 'separator' },
     {
-      label: voiceSettings.trainerMode ? '✓ Trainer Mode (High Noise)' : 'Trainer Mode (High Noise)',
-      click: () => {
-        voiceSettings.trainerMode = !voiceSettings.trainerMode;
-        updateTrayState();
-        if (settingsWindow) {
-          settingsWindow.webContents.send('voice-settings-changed', voiceSettings);
-        }
-      }
+      label: muted ? '✓ Mute Commands' : 'Mute Commands',
+      click: () => setAppState({ muted: !appState.get().muted })
     },
+    { type: 'separator' },
     {
-      label: keyboard && keyboard.isTestMode() ? '✓ Test Mode (No Keystrokes)' : 'Test Mode (No Keystrokes)',
-      click: () => {
-        if (keyboard) {
-          const newMode = !keyboard.isTestMode();
-          keyboard.setTestMode(newMode);
-          updateTrayState();
-          if (settingsWindow) {
-            settingsWindow.webContents.send('test-mode-changed', newMode);
-          }
-        }
-      }
+      label: trainerMode ? '✓ Trainer Mode (High Noise)' : 'Trainer Mode (High Noise)',
+      click: () => setAppState({ trainerMode: !appState.get().trainerMode })
+    },
+    {
+      label: testMode ? '✓ Test Mode (No Keystrokes)' : 'Test Mode (No Keystrokes)',
+      click: () => setAppState({ testMode: !appState.get().testMode })
     },
     { type: 'separator' },
     {
@@ -346,80 +716,347 @@ function createTray() {
  */
 function updateTrayState() {
   if (tray) {
-    tray.setImage(getTrayIcon(isListening));
+    const { listening, muted } = appState.get();
+    tray.setImage(getTrayIcon(listening));
     tray.setContextMenu(buildTrayMenu());
-    tray.setToolTip(isListening ? 'Zwift Voice Control (Listening)' : 'Zwift Voice Control');
+    tray.setToolTip(listening ? `Zwift Voice Control (${muted ? 'Muted' : 'Listening'})` : 'Zwift Voice Control');
   }
 }
 
 /**
  * Start voice recognition
+ * Brings the recognizer back if it gave up after crashing.
  */
 function startListening() {
-  if (isListening) return;
+  if (!recognizerWindow && !recognizerRestartTimer) {
+    recognizerRestarts = 0;
+    createRecognizerWindow();
+  }
+  setAppState({ listening: true });
+}
 
-  isListening = true;
-  updateTrayState();
+/**
+ * Stop voice recognition
+ */
+function stopListening() {
+  setAppState({ listening: false });
+}
 
-  // Notify renderer to start voice recognition
+/**
+ * Handle voice command - execute keyboard shortcut
+ * @param {object} data - Command data from voice recognition
+ */
+async function handleVoiceCommand(data) {
+  const { command, transcript, confidence, matchedPhrase } = data;
+  const repeat = data.repeat || 1;
+
+  console.log(`Voice command: "${matchedPhrase}" -> ${command.description} (${command.key || command.action}${repeat > 1 ? ` x${repeat}` : ''})`);
+  console.log(`  Heard: "${transcript}" (confidence: ${(confidence * 100).toFixed(1)}%)`);
+  if (data.confirmed) {
+    console.log('  Confirmed by voice');
+  }
+
+  // Notify renderer
   if (settingsWindow) {
-    settingsWindow.webContents.send('listening-state-changed', true);
+    settingsWindow.webContents.send('voice-command', data);
+  }
+
+  if (command.action) {
+    await handleCommandAction(data);
+    return;
   }
 
-  console.log('Voice recognition started');
+  // Execute keyboard command (repeats go through the queue, spaced by the rate limit)
+  await dispatchCommands([data]);
 }
 
 /**
- * Stop voice recognition
+ * Expand a matched command into the keys to press, honouring its repeat count
+ * Each key carries the command's priority, which orders the keyboard queue,
+ * its cooldown and minimum gap, and whether queued repeats may be merged.
+ * Commands typed into Settings skip the focus guard.
+ * @param {object} data - Command data from the matcher
+ * @returns {Array} - { key, priority, cooldownMs, minGapMs, coalesce, skipFocusGuard } in press order
  */
-function stopListening() {
-  if (!isListening) return;
+function getCommandKeys(data) {
+  const { key, priority, cooldownMs, minGapMs, coalesce } = data.command;
+  const skipFocusGuard = Boolean(data.simulated);
+  return new Array(data.repeat || 1).fill({ key, priority, cooldownMs, minGapMs, coalesce, skipFocusGuard });
+}
 
-  isListening = false;
-  updateTrayState();
+/**
+ * Get how long a hold command's key should be held down
+ * A spoken duration ("steer left for 3 seconds") wins over the command's
+ * own holdMs.
+ * @param {object} data - Command data from the matcher
+ * @returns {number} - Hold time in ms
+ */
+function getHoldDuration(data) {
+  return data.holdMs || data.command.holdMs || DEFAULT_HOLD_MS;
+}
 
-  // Notify renderer to stop voice recognition
-  if (settingsWindow) {
-    settingsWindow.webContents.send('listening-state-changed', false);
+/**
+ * Hold a command's key down for its duration ("steer left")
+ * Holds skip the queue and aren't recorded for undo.
+ * @param {object} data - Command data from the matcher
+ */
+async function holdCommandKey(data) {
+  if (!keyboard) return;
+
+  reportKeyResult(await keyboard.holdKey(data.command.key, getHoldDuration(data), {
+    skipFocusGuard: Boolean(data.simulated)
+  }));
+}
+
+/**
+ * Let go of every held key and report each release
+ * @returns {Promise<object[]>} - One result per released key
+ */
+async function releaseHeldKeys() {
+  if (!keyboard) return [];
+
+  const results = await keyboard.releaseAll();
+  results.forEach(reportKeyResult);
+  return results;
+}
+
+/**
+ * Send the keys of one or more commands and remember them for "undo"
+ * Keys that were cancelled, merged, cooling down or blocked never went out,
+ * so they aren't recorded; queued keys count once they are pressed.
+ * @param {Array} entries - Command data from the matcher, in order
+ */
+async function dispatchCommands(entries) {
+  const commands = entries.flatMap((entry) => new Array(entry.repeat || 1).fill(entry.command));
+  const results = await executeKeys(entries.flatMap(getCommandKeys));
+
+  lastDispatch = results
+    .map((result, index) => ({
+      command: commands[index],
+      queueId: result.queued && !result.coalesced ? result.queueId : null,
+      pressed: result.success && !result.queued
+    }))
+    .filter((entry) => entry.pressed || entry.queueId !== null);
+}
+
+/**
+ * Track a queued key that was pressed or dropped after its command returned
+ * @param {object} result - Result from keyboard.js with queueId
+ */
+function handleQueueResult(result) {
+  reportKeyResult(result);
+
+  const entry = lastDispatch.find((item) => item.queueId === result.queueId);
+  if (!entry) return;
+
+  if (result.success) {
+    entry.pressed = true;
+  } else {
+    lastDispatch = lastDispatch.filter((item) => item !== entry);
+  }
+}
+
+/**
+ * Send keys through the keyboard queue and report each result
+ * @param {Array} keys - Keys (or { key, priority }) in press order
+ * @returns {Promise<object[]>} - One result per key
+ */
+async function executeKeys(keys) {
+  if (!keyboard || keys.length === 0) {
+    return [];
   }
 
-  console.log('Voice recognition stopped');
+  const results = await keyboard.simulateKeys(keys);
+  results.forEach(reportKeyResult);
+  return results;
 }
 
 /**
- * Handle voice command - execute keyboard shortcut
- * @param {object} data - Command data from voice recognition
+ * Log a keyboard result and forward it to the settings window
+ * @param {object} result - Result from keyboard.js
  */
-async function handleVoiceCommand(data) {
-  const { command, transcript, confidence, matchedPhrase } = data;
+function reportKeyResult(result) {
+  if (result.success) {
+    console.log(`  ${result.held ? 'Holding' : result.released ? 'Released' : result.queued ? 'Queued' : 'Executed'}: ${result.key}`);
+  } else if (result.coolingDown) {
+    console.log(`  Cooling down: ${result.key} (ready in ${(result.retryInMs / 1000).toFixed(1)}s)`);
+  } else if (result.cancelled || result.dropped) {
+    console.log(`  ${result.cancelled ? 'Cancelled' : 'Dropped'}: ${result.key}${result.dropped ? ` (${result.error})` : ''}`);
+  } else {
+    console.error(`  Failed to execute: ${result.key}`);
+  }
 
-  console.log(`Voice command: "${matchedPhrase}" -> ${command.description} (${command.key})`);
-  console.log(`  Heard: "${transcript}" (confidence: ${(confidence * 100).toFixed(1)}%)`);
+  if (settingsWindow) {
+    settingsWindow.webContents.send('command-executed', result);
+  }
+}
 
-  // Execute keyboard command
-  if (keyboard) {
-    const result = await keyboard.pressKey(command.key);
-    if (result) {
-      console.log(`  Executed: ${command.key}`);
+/**
+ * Handle a multi-command utterance ("wave and ride on")
+ * Each sub-command is reported separately, then the keys are sent in order
+ * through the keyboard queue. A cancel/undo in the middle acts on the
+ * commands spoken before it, and holds start once those keys are sent.
+ * @param {object} batch - Batch data from voice recognition
+ */
+async function handleVoiceCommandBatch(batch) {
+  const { transcript, confidence, commands } = batch;
+
+  console.log(`Voice command batch: "${transcript}" -> ${commands.map((entry) => entry.command.description).join(', ')}`);
+  console.log(`  Confidence: ${(confidence * 100).toFixed(1)}%`);
+
+  // Notify renderer of each sub-command
+  if (settingsWindow) {
+    commands.forEach((entry) => settingsWindow.webContents.send('voice-command', entry));
+  }
+
+  // Execute keyboard commands in order
+  let pending = [];
+  const flush = async () => {
+    if (pending.length > 0) {
+      await dispatchCommands(pending);
+      pending = [];
+    }
+  };
+
+  for (const entry of commands) {
+    if (entry.command.action) {
+      await flush();
+      await handleCommandAction(entry);
     } else {
-      console.error(`  Failed to execute: ${command.key}`);
+      pending.push(entry);
     }
   }
 
-  // Notify renderer
+  await flush();
+}
+
+/**
+ * Run a command's action - hold keeps its key down, the others act on
+ * earlier commands instead of sending a key
+ * @param {object} data - Command data with command.action
+ */
+async function handleCommandAction(data) {
+  switch (data.command.action) {
+    case 'cancel':
+      cancelPendingCommands();
+      break;
+    case 'undo':
+      await undoLastCommand({ skipFocusGuard: Boolean(data.simulated) });
+      break;
+    case 'hold':
+      await holdCommandKey(data);
+      break;
+    case 'release':
+      if ((await releaseHeldKeys()).length === 0) {
+        console.log('  Nothing held');
+      }
+      break;
+    default:
+      console.warn(`Unknown command action: ${data.command.action}`);
+  }
+}
+
+/**
+ * Drop keys still waiting in the keyboard queue ("cancel")
+ */
+function cancelPendingCommands() {
+  if (!keyboard) return;
+
+  const cancelled = keyboard.cancelPending();
+  cancelled.forEach(reportKeyResult);
+
+  // Cancelled keys never went out, so there's nothing to undo for them
+  const ids = new Set(cancelled.map((result) => result.queueId));
+  lastDispatch = lastDispatch.filter((entry) => !ids.has(entry.queueId));
+}
+
+/**
+ * Reverse the most recent voice command by sending its inverse key ("undo")
+ * Only keys that were actually pressed are reversed. Commands without an
+ * inverse (camera views, emotes) can't be undone.
+ * @param {object} options - { skipFocusGuard } for an "undo" typed into Settings
+ */
+async function undoLastCommand(options = {}) {
+  const undoable = lastDispatch.filter((entry) => entry.pressed && entry.command.inverse);
+  lastDispatch = [];
+
+  if (undoable.length === 0) {
+    console.log('  Nothing to undo');
+    reportKeyResult({
+      success: false,
+      key: 'undo',
+      description: 'Undo',
+      timestamp: new Date(),
+      error: 'Nothing to undo'
+    });
+    return;
+  }
+
+  // Reverse the keys in the opposite order they were sent
+  const keys = [...undoable].reverse().map((entry) => ({ key: entry.command.inverse, ...options }));
+
+  console.log(`  Undoing ${[...new Set(undoable.map((entry) => entry.command.description))].join(', ')}`);
+  await executeKeys(keys);
+}
+
+/**
+ * Handle a low-confidence match - suggest only, never execute
+ * @param {object} data - Suggestion data from the matcher
+ */
+function handleLowConfidence(data) {
+  console.log(`Low confidence: "${data.transcript}" -> might be "${data.suggestedCommand?.description}"`);
   if (settingsWindow) {
-    settingsWindow.webContents.send('voice-command', data);
+    settingsWindow.webContents.send('voice-low-confidence', data);
+  }
+}
+
+/**
+ * Handle a transcript that matched no command
+ * @param {object} data - Transcript data from the matcher
+ */
+function handleNoMatch(data) {
+  console.log(`No match: "${data.transcript}" (confidence: ${(data.confidence * 100).toFixed(1)}%)`);
+  if (settingsWindow) {
+    settingsWindow.webContents.send('voice-no-match', data);
+  }
+}
+
+/**
+ * Run a typed transcript through the matcher as if it had been heard
+ * Works without a microphone or the recognizer window.
+ * @param {string} text - Transcript to simulate
+ * @param {number} confidence - Simulated confidence (default: 0.95)
+ */
+async function simulateVoiceCommand(text, confidence = 0.95) {
+  console.log(`Simulating voice command: "${text}"`);
+
+  const { type, data } = matcher.classifyUtterance(text, confidence, {
+    commands: catalog.getActiveCommands(),
+    threshold: appState.get().profile.threshold,
+    lowConfidenceThreshold: voiceSettings.lowConfidenceThreshold,
+    maxRepeat: voiceSettings.maxRepeat
+  });
+
+  // Settings is in front while typing, so these skip the focus guard
+  if (type === 'command') {
+    await handleVoiceCommand({ ...data, simulated: true });
+  } else if (type === 'commandBatch') {
+    await handleVoiceCommandBatch({ ...data, commands: data.commands.map((entry) => ({ ...entry, simulated: true })) });
+  } else if (type === 'lowConfidence') {
+    handleLowConfidence(data);
+  } else {
+    handleNoMatch(data);
   }
 }
 
 // IPC handlers for renderer communication
-ipcMain.handle('get-listening-state', () => isListening);
+ipcMain.handle('get-app-state', () => appState.get());
 
 ipcMain.on('start-listening', () => startListening());
 ipcMain.on('stop-listening', () => stopListening());
 
 ipcMain.on('toggle-listening', () => {
-  if (isListening) {
+  if (appState.get().listening) {
     stopListening();
   } else {
     startListening();
@@ -437,7 +1074,7 @@ ipcMain.handle('test-keyboard', async (event, key) => {
 // Execute a specific key
 ipcMain.handle('execute-command', async (event, key) => {
   if (keyboard) {
-    const result = await keyboard.simulateKey(key);
+    const result = await keyboard.simulateKey(key, { skipFocusGuard: true });
     // Send notification to renderer
     if (settingsWindow && result) {
       settingsWindow.webContents.send('command-executed', result);
@@ -455,21 +1092,9 @@ ipcMain.handle('get-commands', () => {
   return {};
 });
 
-// Test mode handlers
-ipcMain.handle('get-test-mode', () => {
-  if (keyboard) {
-    return keyboard.isTestMode();
-  }
-  return false;
-});
-
+// Test mode
 ipcMain.on('set-test-mode', (event, enabled) => {
-  if (keyboard) {
-    keyboard.setTestMode(enabled);
-    console.log(`Test mode ${enabled ? 'enabled' : 'disabled'}`);
-    // Update tray menu
-    updateTrayState();
-  }
+  setAppState({ testMode: enabled });
 });
 
 // Notifications setting
@@ -483,21 +1108,22 @@ ipcMain.handle('get-notifications-enabled', () => {
 ipcMain.on('set-notifications-enabled', (event, enabled) => {
   if (keyboard) {
     keyboard.setNotificationsEnabled(enabled);
+    settingsStore.updateSettings('keyboard', { notificationsEnabled: enabled });
   }
 });
 
-// Rate limit setting
-ipcMain.handle('get-rate-limit', () => {
+// Focus guard - what to do when the target app isn't in front
+ipcMain.on('set-focus-guard', (event, { policy, targetApp }) => {
   if (keyboard) {
-    return keyboard.getRateLimit();
+    keyboard.setFocusGuard(policy, targetApp);
+    const { focusPolicy, targetApp: app } = keyboard.getConfig();
+    settingsStore.updateSettings('keyboard', { focusPolicy, targetApp: app });
   }
-  return 300;
 });
 
+// Rate limit setting (same bounds as keyboard.setRateLimit)
 ipcMain.on('set-rate-limit', (event, ms) => {
-  if (keyboard) {
-    keyboard.setRateLimit(ms);
-  }
+  setAppState({ rateLimitMs: Math.max(100, Math.min(2000, ms)) });
 });
 
 // Get keyboard config
@@ -506,6 +1132,7 @@ ipcMain.handle('get-keyboard-config', () => {
     return {
       config: keyboard.getConfig(),
       robotjsAvailable: keyboard.isRobotjsAvailable(),
+      backend: keyboard.getBackend(),
       queueStatus: keyboard.getQueueStatus()
     };
   }
@@ -528,67 +1155,152 @@ ipcMain.on('clear-command-history', () => {
 });
 
 // Get voice commands from voice.js
-ipcMain.handle('get-voice-commands', () => {
-  try {
-    const { VOICE_COMMANDS } = require('./voice');
-    return VOICE_COMMANDS;
-  } catch (e) {
-    console.error('Failed to load voice commands:', e);
-    return [];
-  }
-});
+ipcMain.handle('get-voice-commands', () => catalog.getCommands());
+ipcMain.handle('get-catalog-status', () => getCatalogStatus());
+
+// Custom command editor
+ipcMain.handle('save-voice-command', (event, command) => applyCatalogEdit(catalog.saveCommand(command)));
+ipcMain.handle('delete-voice-command', (event, id) => applyCatalogEdit(catalog.deleteCommand(id)));
 
 // Voice settings
 ipcMain.handle('get-voice-settings', () => voiceSettings);
 
+// Persisted settings
+ipcMain.handle('get-settings', () => settingsStore.getSettings());
+
+// Settings the Settings window kept in localStorage before they moved here
+ipcMain.handle('import-legacy-settings', (event, legacy) => {
+  if (!settingsStore.importLegacySettings(legacy)) {
+    return false;
+  }
+
+  applySettings(settingsStore.getSettings());
+  sendVoiceSettings();
+  return true;
+});
+
+ipcMain.handle('set-launch-at-startup', (event, enabled) => {
+  const result = autostart.setAutostart(enabled);
+  settingsStore.updateSettings('general', { launchAtStartup: result.enabled });
+  return result;
+});
+
+ipcMain.handle('get-autostart-status', () => ({
+  supported: autostart.isAutostartSupported(),
+  enabled: autostart.isAutostartEnabled()
+}));
+
+ipcMain.on('set-listen-on-launch', (event, enabled) => {
+  settingsStore.updateSettings('general', { listenOnLaunch: enabled });
+});
+
+// Global shortcuts
+ipcMain.handle('get-shortcuts', () => getShortcutStatus());
+
+ipcMain.handle('set-shortcut', (event, action, accelerator) => {
+  if (!shortcuts.SHORTCUT_ACTIONS.includes(action)) {
+    return getShortcutStatus();
+  }
+
+  settingsStore.updateSettings('shortcuts', { [action]: accelerator || '' });
+  initShortcuts();
+  return getShortcutStatus();
+});
+
 ipcMain.on('set-confidence-threshold', (event, threshold) => {
-  voiceSettings.confidenceThreshold = Math.max(0.5, Math.min(0.95, threshold));
-  console.log(`Confidence threshold set to: ${voiceSettings.confidenceThreshold}`);
+  setAppState({ threshold: Math.max(0.5, Math.min(0.95, threshold)) });
+  console.log(`Confidence threshold set to: ${appState.get().threshold}`);
 });
 
 ipcMain.on('set-trainer-mode', (event, enabled) => {
-  voiceSettings.trainerMode = enabled;
-  updateTrayState();
+  setAppState({ trainerMode: enabled });
   console.log(`Trainer mode: ${enabled ? 'enabled' : 'disabled'}`);
 });
 
-// Handle voice command from renderer (where Web Speech API runs)
+// Recognizer window lifecycle
+ipcMain.handle('get-recognizer-state', () => recognizerState);
+
+ipcMain.on('recognizer-ready', (event, { supported }) => {
+  updateRecognizerState({ ready: true, supported, listening: false });
+  console.log(`Recognizer ready (speech recognition ${supported ? 'supported' : 'not supported'})`);
+
+  // Sync settings and resume listening after a (re)load
+  sendVoiceSettings();
+  sendToRecognizer('voice-commands-changed', catalog.getActiveCommands());
+  sendToRecognizer('recognizer-accepting', getAcceptingState(appState.get()));
+  if (appState.get().listening) {
+    sendToRecognizer('recognizer-start');
+  }
+});
+
+ipcMain.on('recognizer-state', (event, state) => {
+  updateRecognizerState(state);
+});
+
+// Recognizer gave up on its own (permission denied, too many restarts)
+ipcMain.on('recognizer-stopped', () => {
+  if (appState.get().listening) {
+    stopListening();
+  }
+});
+
+ipcMain.on('set-wake-word', (event, { enabled, wakeWord }) => {
+  updateVoiceSettings({
+    wakeWordEnabled: enabled,
+    wakeWord: wakeWord && wakeWord.trim() ? wakeWord.trim().toLowerCase() : voiceSettings.wakeWord
+  });
+  console.log(`Wake word: ${enabled ? `"${voiceSettings.wakeWord}"` : 'disabled'}`);
+});
+
+ipcMain.on('set-confirmation', (event, { enabled, earcon }) => {
+  updateVoiceSettings({ confirmationEnabled: enabled, confirmationEarcon: earcon });
+  console.log(`Spoken confirmation: ${enabled ? 'enabled' : 'disabled'}${enabled && earcon ? ' (with earcon)' : ''}`);
+});
+
+// Handle voice command from the recognizer window (where Web Speech API runs)
 ipcMain.on('voice-command-received', async (event, data) => {
   await handleVoiceCommand(data);
 });
 
+ipcMain.on('voice-command-batch-received', async (event, batch) => {
+  await handleVoiceCommandBatch(batch);
+});
+
 // Forward voice events to renderer (for UI updates)
 ipcMain.on('voice-interim', (event, data) => {
-  if (settingsWindow && settingsWindow !== event.sender) {
+  if (settingsWindow) {
     settingsWindow.webContents.send('voice-interim', data);
   }
 });
 
-ipcMain.on('voice-low-confidence', (event, data) => {
-  console.log(`Low confidence: "${data.transcript}" -> might be "${data.suggestedCommand?.description}"`);
+ipcMain.on('voice-low-confidence', (event, data) => handleLowConfidence(data));
+
+ipcMain.on('voice-gated', (event, data) => {
   if (settingsWindow) {
-    settingsWindow.webContents.send('voice-low-confidence', data);
+    settingsWindow.webContents.send('voice-gated', data);
   }
 });
 
-ipcMain.on('voice-no-match', (event, data) => {
-  console.log(`No match: "${data.transcript}" (confidence: ${(data.confidence * 100).toFixed(1)}%)`);
+ipcMain.on('voice-no-match', (event, data) => handleNoMatch(data));
+
+// Suggestion confirmation progress - a confirmed one arrives as a voice command
+ipcMain.on('voice-confirmation', (event, data) => {
+  console.log(`Suggestion ${data.state}: ${data.suggestedCommand.description}`);
   if (settingsWindow) {
-    settingsWindow.webContents.send('voice-no-match', data);
+    settingsWindow.webContents.send('voice-confirmation', data);
   }
 });
 
 ipcMain.on('voice-error', (event, error) => {
-  console.error('Voice recognition error:', error);
+  console.error('Voice recognition error:', error.message);
   if (settingsWindow) {
     settingsWindow.webContents.send('voice-error', error);
   }
 });
 
-// Simulate voice command for testing
-ipcMain.on('simulate-voice-command', (event, text) => {
-  console.log(`Simulating voice command: "${text}"`);
-  // This will be handled by the renderer which has the voice recognition module
+// Simulate voice command for testing (matched here, no recognizer needed)
+ipcMain.on('simulate-voice-command', async (event, text) => {
+  await simulateVoiceCommand(text);
 });
 
 // Permission IPC handlers
@@ -614,6 +1326,12 @@ ipcMain.on('open-microphone-settings', () => {
 app.whenReady().then(async () => {
   // Initialize modules
   keyboard = require('./keyboard');
+  // Queued keys are pressed (or dropped) after their command has returned
+  keyboard.onQueueResult(handleQueueResult);
+  initSettings();
+  initAutostart();
+  initCommandCatalog();
+  initShortcuts();
 
   // Hide dock icon on macOS (we're a menu bar app)
   if (process.platform === 'darwin') {
@@ -621,9 +1339,14 @@ app.whenReady().then(async () => {
   }
 
   createSettingsWindow();
+  createRecognizerWindow();
   createTray();
 
-  console.log('Zwift Voice Control started');
+  console.log(`Zwift Voice Control started${autostart.wasLaunchedAtLogin() ? ' at login' : ''}`);
+
+  if (settingsStore.getSettings().general.listenOnLaunch) {
+    startListening();
+  }
 
   // Check permissions on startup (after a short delay to let window initialize)
   setTimeout(async () => {
@@ -644,9 +1367,23 @@ app.on('activate', () => {
   }
 });
 
-app.on('before-quit', () => {
+app.on('will-quit', () => {
+  shortcuts.unregisterShortcuts();
+});
+
+app.on('before-quit', (event) => {
+  // Never quit with a key stuck down - release first, then quit again
+  if (keyboard && keyboard.getHeldKeys().length > 0) {
+    event.preventDefault();
+    keyboard.releaseAll().finally(() => app.quit());
+    return;
+  }
+
   app.isQuitting = true;
-  if (isListening) {
+  clearTimeout(recognizerRestartTimer);
+  catalog.unwatchCatalog();
+  settingsStore.flushSettings();
+  if (appState.get().listening) {
     stopListening();
   }
 });
@@ -662,6 +1399,8 @@ app.on('second-instance', () => {
 // Export for testing
 module.exports = {
   handleVoiceCommand,
+  handleVoiceCommandBatch,
+  simulateVoiceCommand,
   startListening,
   stopListening
 };
@@ -0,0 +1,793 @@
+/**
+ * Command Matcher Module
+ *
+ * Pure transcript → command matching, shared by the recognizer window
+ * (via voice.js) and the main process. No browser or Electron dependencies.
+ */
+
+const { metaphone } = require('./phonetic');
+
+/**
+ * Default matching options
+ */
+const DEFAULT_OPTIONS = {
+  commands: [],
+  threshold: 0.75,              // Execute at or above this decision score and ASR confidence
+  lowConfidenceThreshold: 0.65, // Suggest only between this and threshold
+  unknownConfidence: 0.8,       // Stand-in when the recognizer reports confidence 0
+  maxRepeat: 5,                 // Cap for spoken repeat counts (fits the keyboard queue)
+  maxHoldMs: 10000              // Cap for spoken hold durations
+};
+
+/**
+ * Decision score tuning
+ * The score is a weighted geometric mean of ASR confidence and match quality,
+ * scaled by command priority, so a confident transcript that only loosely
+ * matches a phrase no longer executes on confidence alone.
+ */
+const SCORING = {
+  confidenceWeight: 0.6,
+  matchWeight: 0.4,
+  phoneticPenalty: 0.15,        // Quality lost per sound-alike (not spelled-alike) word
+  shortPhraseLength: 4,         // Inexact hits on phrases this short are riskier...
+  shortPhraseFactor: 0.95,      // ...so they are scaled down
+  priorityFactors: { 1: 1, 2: 0.98, 3: 0.96 },
+  alternativeDiscount: 0.9      // Unreported confidence of each n-best rank vs the one above
+};
+
+/**
+ * Words that separate commands within one utterance
+ * ("wave and ride on", "camera 3 then hide"). Longest alternatives first.
+ */
+const CONJUNCTIONS = ['and then', 'and also', 'and', 'then', 'also'];
+
+const CONJUNCTION_PATTERN = new RegExp(`\\b(?:${CONJUNCTIONS.join('|')})\\b`, 'g');
+
+/**
+ * Words that carry no meaning on their own ("turn left please", "ok go lower").
+ * They are ignored when measuring coverage unless the phrase itself uses them.
+ */
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'please', 'now', 'uh', 'um', 'ok', 'okay', 'hey',
+  'just', 'go', 'so', 'i', 'me', 'my', 'to', 'can', 'you', 'quick', 'quickly', 'again'
+]);
+
+/**
+ * Share of meaningful transcript words a phrase must cover to match
+ * ("lower cadence" covers only half, so it is not "lower")
+ */
+const MIN_COVERAGE = 0.6;
+
+/**
+ * Sentences that must never match a command - regression samples for the
+ * token matcher, checked against the active catalog by findFalsePositives()
+ */
+const FALSE_POSITIVE_SAMPLES = [
+  'alright then',
+  'lower cadence',
+  'on',
+  'bright',
+  'upright',
+  'i think that is right',
+  'the road goes straight ahead of us',
+  'nice weather today',
+  'skip to the next song',
+  'that was a long climb'
+];
+
+/**
+ * Spoken replies to a "Did you mean …?" suggestion, compared after filler
+ * words are dropped ("yes please" -> "yes")
+ */
+const CONFIRMATION_REPLIES = {
+  confirm: ['yes', 'yeah', 'yep', 'yup', 'sure', 'correct', 'confirm', 'do it', 'yes do it', 'that one'],
+  deny: ['no', 'nope', 'no thanks', 'wrong', 'never mind', 'nevermind', 'forget it']
+};
+
+/**
+ * Spoken repeat counts, tried in order against the end of a normalized
+ * transcript ("ride on times 5", "easier x 2", "harder by 3", "harder 3 times",
+ * "wave twice"). A `leading` count may be the command's own number
+ * ("camera 3 times 2"), so it only counts if the rest still matches a phrase.
+ */
+const REPEAT_PATTERNS = [
+  { pattern: /\b(?:times|x) ?(\d+)$/, count: (m) => parseInt(m[1], 10) },
+  { pattern: /\bby (\d+)$/, count: (m) => parseInt(m[1], 10) },
+  { pattern: /\b(\d+) ?(?:times|x)$/, count: (m) => parseInt(m[1], 10), leading: true },
+  { pattern: /\bonce$/, count: () => 1 },
+  { pattern: /\btwice$/, count: () => 2 },
+  { pattern: /\bthrice$/, count: () => 3 }
+];
+
+/**
+ * Spoken hold durations, tried in order against a normalized transcript
+ * ("steer left for 3 seconds", "hold right for a second", "for half a second")
+ */
+const DURATION_PATTERNS = [
+  { pattern: /\bfor (\d+(?:\.\d+)?) ?(?:seconds?|secs?|s)\b/, ms: (m) => parseFloat(m[1]) * 1000 },
+  { pattern: /\bfor half a second\b/, ms: () => 500 },
+  { pattern: /\bfor (?:a|1) second\b/, ms: () => 1000 }
+];
+
+/**
+ * Levenshtein distance for fuzzy matching
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function levenshteinDistance(a, b) {
+  const matrix = [];
+
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= a.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1, // substitution
+          matrix[i][j - 1] + 1,     // insertion
+          matrix[i - 1][j] + 1      // deletion
+        );
+      }
+    }
+  }
+
+  return matrix[b.length][a.length];
+}
+
+/**
+ * Convert spoken numbers to digits
+ * @param {string} text - Input text
+ * @returns {string} - Text with numbers converted
+ */
+function convertSpokenNumbers(text) {
+  const numberMap = {
+    'zero': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
+    'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9',
+    'ten': '10'
+  };
+
+  let result = text.toLowerCase();
+  for (const [word, digit] of Object.entries(numberMap)) {
+    result = result.replace(new RegExp(`\\b${word}\\b`, 'gi'), digit);
+  }
+  return result;
+}
+
+/**
+ * Normalize a raw transcript for matching
+ * @param {string} text - Raw transcript
+ * @returns {string} - Lowercased, trimmed transcript with numbers converted
+ */
+function normalizeTranscript(text) {
+  return convertSpokenNumbers(text.toLowerCase().trim());
+}
+
+/**
+ * Normalize command phrases the same way as transcripts
+ * Catalog phrases are written by hand ("Lights On", "gear two"), so without
+ * this they could never match a normalized transcript.
+ * @param {Array} commands - Command definitions
+ * @returns {Array} - Copies with normalized, de-duplicated phrases
+ */
+function normalizeCommands(commands) {
+  return commands.map((command) => ({
+    ...command,
+    phrases: [...new Set(command.phrases.map(normalizeTranscript))]
+  }));
+}
+
+/**
+ * Check whether a normalized transcript starts with the wake word
+ * Tolerates one character of error per word ("swift" for "zwift") and
+ * punctuation the recognizer adds ("zwift, power up").
+ * @param {string} transcript - Normalized transcript
+ * @param {string} wakeWord - Wake word or phrase
+ * @returns {object} - { heard, text } with the wake word removed from text
+ */
+function stripWakeWord(transcript, wakeWord) {
+  const clean = (word) => word.replace(/[^a-z0-9'-]/g, '');
+  const wakeTokens = normalizeTranscript(wakeWord).split(/\s+/).map(clean).filter(Boolean);
+  const tokens = transcript.split(/\s+/).filter(Boolean);
+
+  if (wakeTokens.length === 0 || tokens.length < wakeTokens.length) {
+    return { heard: false, text: transcript };
+  }
+
+  const heard = wakeTokens.every((wakeToken, i) => {
+    const token = clean(tokens[i]);
+    const tolerance = wakeToken.length > 3 ? 1 : 0;
+    return levenshteinDistance(token, wakeToken) <= tolerance;
+  });
+
+  return {
+    heard,
+    text: heard
+      ? tokens.slice(wakeTokens.length).join(' ').replace(/^[^a-z0-9]+/, '').trim()
+      : transcript
+  };
+}
+
+/**
+ * Pull a spoken repeat count off the end of a normalized transcript
+ * @param {string} transcript - Normalized transcript
+ * @param {number} maxRepeat - Safe maximum for the count
+ * @param {Function} matchesPhrase - Checks that text without a leading
+ *   count still matches a command (leading counts are always taken without it)
+ * @returns {object} - { text, repeat, requestedRepeat } with the count removed from text
+ */
+function extractRepeatCount(transcript, maxRepeat = DEFAULT_OPTIONS.maxRepeat, matchesPhrase = null) {
+  // Trailing filler doesn't hide the count ("harder 3 times please")
+  const words = transcript.split(/\s+/);
+  while (words.length > 1 && FILLER_WORDS.has(words[words.length - 1])) {
+    words.pop();
+  }
+  const spoken = words.join(' ');
+
+  for (const { pattern, count, leading } of REPEAT_PATTERNS) {
+    const match = spoken.match(pattern);
+    if (match) {
+      const requestedRepeat = count(match);
+      const text = spoken.replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+
+      // A bare count ("3 times") is not a command on its own
+      if (text.length === 0 || requestedRepeat < 1) {
+        break;
+      }
+
+      // "camera 3 times" - the 3 belongs to "camera 3"
+      if (leading && matchesPhrase && !matchesPhrase(text)) {
+        continue;
+      }
+
+      return {
+        text,
+        repeat: Math.min(requestedRepeat, maxRepeat),
+        requestedRepeat
+      };
+    }
+  }
+
+  return { text: transcript, repeat: 1, requestedRepeat: 1 };
+}
+
+/**
+ * Pull a spoken hold duration out of a normalized transcript
+ * @param {string} transcript - Normalized transcript
+ * @param {number} maxHoldMs - Safe maximum for the duration
+ * @returns {object} - { text, holdMs, requestedHoldMs } with the duration removed from text;
+ *                     holdMs is null if none was spoken
+ */
+function extractHoldDuration(transcript, maxHoldMs = DEFAULT_OPTIONS.maxHoldMs) {
+  for (const { pattern, ms } of DURATION_PATTERNS) {
+    const match = transcript.match(pattern);
+    if (match) {
+      const requestedHoldMs = Math.round(ms(match));
+      const text = transcript.replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+
+      // A bare duration ("for 3 seconds") is not a command on its own
+      if (text.length === 0 || requestedHoldMs <= 0) {
+        break;
+      }
+
+      return {
+        text,
+        holdMs: Math.min(requestedHoldMs, maxHoldMs),
+        requestedHoldMs
+      };
+    }
+  }
+
+  return { text: transcript, holdMs: null, requestedHoldMs: null };
+}
+
+/**
+ * Split a normalized utterance into command segments on conjunctions
+ * @param {string} transcript - Normalized transcript
+ * @returns {string[]} - Non-empty segments in spoken order
+ */
+function splitUtterance(transcript) {
+  return transcript
+    .split(CONJUNCTION_PATTERN)
+    .map((segment) => segment.trim())
+    .filter((segment) => segment.length > 0);
+}
+
+/**
+ * Split normalized text into word tokens, dropping punctuation
+ * @param {string} text - Normalized text
+ * @returns {string[]} - Tokens
+ */
+function tokenize(text) {
+  return text
+    .split(/\s+/)
+    .map((token) => token.replace(/[^a-z0-9'-]/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Allowed edit distance for a single word, by length
+ * @param {string} token - Word token
+ * @returns {number}
+ */
+function tokenTolerance(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Check if one word is merely the other with letters in front
+ * ("bright"/"alright" vs "right", "lick" vs "flick") - never a match
+ * @param {string} token - Transcript word
+ * @param {string} phraseToken - Phrase word
+ * @returns {boolean}
+ */
+function isPartialWordHit(token, phraseToken) {
+  return token !== phraseToken &&
+    (token.endsWith(phraseToken) || phraseToken.endsWith(token));
+}
+
+/**
+ * Cost of matching one transcript word against one phrase word
+ * @param {string} token - Transcript word
+ * @param {string} phraseToken - Phrase word
+ * @returns {object|null} - { cost, phonetic } or null if the words differ
+ */
+function tokenCost(token, phraseToken) {
+  if (token === phraseToken) {
+    return { cost: 0, phonetic: false };
+  }
+
+  // Numbers must match exactly ("camera 3" is not "camera 8")
+  if (/^\d+$/.test(token) || /^\d+$/.test(phraseToken) || isPartialWordHit(token, phraseToken)) {
+    return null;
+  }
+
+  const distance = levenshteinDistance(token, phraseToken);
+  if (distance <= Math.min(tokenTolerance(token), tokenTolerance(phraseToken))) {
+    return { cost: distance, phonetic: false };
+  }
+
+  // Sound-alike words for homophones and ASR misspellings ("write" -> "right")
+  const tokenKey = metaphone(token);
+  if (tokenKey.length >= 2 && tokenKey === metaphone(phraseToken)) {
+    return { cost: 1, phonetic: true };
+  }
+
+  return null;
+}
+
+/**
+ * Match transcript words against one command phrase
+ * The phrase must appear as a run of whole words; every meaningful word
+ * outside that run lowers coverage and adds to the score.
+ * @param {string[]} tokens - Transcript words
+ * @param {string[]} phraseTokens - Phrase words
+ * @returns {object|null} - { score, coverage, phonetic } or null
+ */
+function matchPhrase(tokens, phraseTokens) {
+  const length = phraseTokens.length;
+
+  // Filler words only count when the phrase itself uses them
+  const content = tokens.filter((token) => !FILLER_WORDS.has(token) || phraseTokens.includes(token));
+
+  if (length === 0 || content.length === 0) {
+    return null;
+  }
+
+  const phraseLength = phraseTokens.join('').length;
+
+  // Run-together words ("hammertime" for "hammer time")
+  if (content.length !== length && content.join('') === phraseTokens.join('')) {
+    return { score: 1, coverage: 1, editCost: 1, phoneticWords: 0, phonetic: false, phraseLength };
+  }
+
+  let best = null;
+
+  for (let start = 0; start + length <= content.length; start++) {
+    let cost = 0;
+    let editCost = 0;
+    let phoneticWords = 0;
+    let matched = true;
+
+    for (let i = 0; i < length; i++) {
+      const result = tokenCost(content[start + i], phraseTokens[i]);
+      if (!result) {
+        matched = false;
+        break;
+      }
+      cost += result.cost;
+      if (result.phonetic) {
+        phoneticWords++;
+      } else {
+        editCost += result.cost;
+      }
+    }
+
+    if (matched && (!best || cost < best.cost)) {
+      best = { cost, editCost, phoneticWords };
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const coverage = length / content.length;
+  if (coverage < MIN_COVERAGE) {
+    return null;
+  }
+
+  return {
+    score: best.cost + (content.length - length),
+    coverage,
+    editCost: best.editCost,
+    phoneticWords: best.phoneticWords,
+    phonetic: best.phoneticWords > 0,
+    phraseLength
+  };
+}
+
+/**
+ * Quality of a phrase match, from 0 (useless) to 1 (exact)
+ * Combines word coverage, edit distance relative to phrase length and
+ * sound-alike substitutions.
+ * @param {object} result - Result from matchPhrase
+ * @returns {number}
+ */
+function matchQuality(result) {
+  const editPenalty = (2 * result.editCost) / Math.max(1, result.phraseLength);
+  const phoneticPenalty = SCORING.phoneticPenalty * result.phoneticWords;
+  const quality = result.coverage * Math.max(0, 1 - editPenalty - phoneticPenalty);
+
+  // Inexact hits on very short phrases are easy to get by accident
+  if (result.score > 0 && result.phraseLength <= SCORING.shortPhraseLength) {
+    return quality * SCORING.shortPhraseFactor;
+  }
+
+  return quality;
+}
+
+/**
+ * Fuse ASR confidence and match quality into one decision score
+ * @param {number} confidence - Recognition confidence (0 means "not reported")
+ * @param {number} quality - Match quality from matchQuality()
+ * @param {number} priority - Command priority (1-3)
+ * @param {object} options - Matching options (unknownConfidence)
+ * @returns {number} - Decision score between 0 and 1
+ */
+function decisionScore(confidence, quality, priority, options = {}) {
+  // Some recognizers (and Chrome for some results) report 0 for "unknown"
+  const asrConfidence = confidence > 0
+    ? confidence
+    : (options.unknownConfidence !== undefined ? options.unknownConfidence : DEFAULT_OPTIONS.unknownConfidence);
+  const priorityFactor = SCORING.priorityFactors[priority] || SCORING.priorityFactors[3];
+
+  return Math.pow(asrConfidence, SCORING.confidenceWeight) *
+    Math.pow(quality, SCORING.matchWeight) *
+    priorityFactor;
+}
+
+/**
+ * Match transcript to a voice command
+ * Picks the candidate with the best decision score; the no-match cut-off is
+ * decided on that score. Executing also needs the ASR confidence itself to
+ * reach the threshold, so a good match never runs on a transcript the
+ * user's threshold setting would have rejected. For an n-best alternative
+ * that is the utterance's (options.asrConfidence), not the discounted
+ * stand-in it is scored with.
+ * @param {string} transcript - Normalized transcript
+ * @param {number} confidence - Recognition confidence
+ * @param {object} options - Matching options (commands, thresholds, asrConfidence)
+ * @returns {object|null} - Match result or null
+ */
+function matchCommand(transcript, confidence, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const tokens = tokenize(transcript);
+  let bestMatch = null;
+
+  // Sort commands by priority (ties go to the higher priority command)
+  const sortedCommands = [...opts.commands].sort((a, b) => a.priority - b.priority);
+
+  for (const command of sortedCommands) {
+    for (const phrase of command.phrases) {
+      const result = matchPhrase(tokens, tokenize(phrase));
+
+      if (!result) {
+        continue;
+      }
+
+      const quality = matchQuality(result);
+      const candidate = {
+        command,
+        matchedPhrase: phrase,
+        ...result,
+        matchQuality: quality,
+        decisionScore: decisionScore(confidence, quality, command.priority, opts)
+      };
+
+      // Exact match
+      if (result.score === 0) {
+        bestMatch = candidate;
+        break;
+      }
+
+      if (!bestMatch || candidate.decisionScore > bestMatch.decisionScore) {
+        bestMatch = candidate;
+      }
+    }
+
+    if (bestMatch && bestMatch.score === 0) {
+      break;
+    }
+  }
+
+  // Too uncertain even for a suggestion
+  if (!bestMatch || bestMatch.decisionScore < opts.lowConfidenceThreshold) {
+    return null;
+  }
+
+  // Confidence 0 means "not reported" - use the stand-in, as decisionScore does
+  const asrConfidence = opts.asrConfidence !== undefined
+    ? opts.asrConfidence
+    : (confidence > 0 ? confidence : opts.unknownConfidence);
+
+  return {
+    ...bestMatch,
+    isLowConfidence: bestMatch.decisionScore < opts.threshold || asrConfidence < opts.threshold
+  };
+}
+
+/**
+ * Find regression samples that wrongly match a command
+ * @param {Array} commands - Command catalog to check
+ * @param {string[]} samples - Sentences that must not match
+ * @returns {Array} - { sample, command, matchedPhrase } for each false positive
+ */
+function findFalsePositives(commands, samples = FALSE_POSITIVE_SAMPLES) {
+  const normalized = normalizeCommands(commands);
+
+  return samples
+    .map((sample) => ({ sample, match: matchCommand(normalizeTranscript(sample), 1, { commands: normalized }) }))
+    .filter(({ match }) => match !== null)
+    .map(({ sample, match }) => ({
+      sample,
+      command: match.command.description,
+      matchedPhrase: match.matchedPhrase
+    }));
+}
+
+/**
+ * Classify a raw transcript into the event the recognizer should raise
+ * @param {string} transcript - Raw transcript as heard
+ * @param {number} confidence - Recognition confidence
+ * @param {object} options - Matching options (commands, thresholds)
+ * @returns {object} - { type: 'command'|'lowConfidence'|'noMatch', data }
+ */
+function classifyTranscript(transcript, confidence, options = {}) {
+  const normalizedTranscript = normalizeTranscript(transcript);
+  const { text: commandText, holdMs, requestedHoldMs } = extractHoldDuration(
+    normalizedTranscript,
+    options.maxHoldMs !== undefined ? options.maxHoldMs : DEFAULT_OPTIONS.maxHoldMs
+  );
+  const { text, repeat, requestedRepeat } = extractRepeatCount(
+    commandText,
+    options.maxRepeat !== undefined ? options.maxRepeat : DEFAULT_OPTIONS.maxRepeat,
+    (candidate) => matchCommand(candidate, confidence, options) !== null
+  );
+  const matchResult = matchCommand(text, confidence, options);
+
+  if (!matchResult) {
+    return {
+      type: 'noMatch',
+      data: { transcript, normalizedTranscript, confidence }
+    };
+  }
+
+  // Only hold commands take a duration - "power up for 3 seconds" is a tap
+  const commandHoldMs = matchResult.command.action === 'hold' ? holdMs : null;
+
+  if (matchResult.isLowConfidence) {
+    // Low confidence - suggest but don't execute
+    return {
+      type: 'lowConfidence',
+      data: {
+        transcript,
+        normalizedTranscript,
+        confidence,
+        suggestedCommand: matchResult.command,
+        matchedPhrase: matchResult.matchedPhrase,
+        matchQuality: matchResult.matchQuality,
+        decisionScore: matchResult.decisionScore,
+        repeat,
+        holdMs: commandHoldMs
+      }
+    };
+  }
+
+  if (requestedRepeat > repeat) {
+    console.warn(`Repeat count ${requestedRepeat} capped at ${repeat}`);
+  }
+  if (commandHoldMs !== null && requestedHoldMs > holdMs) {
+    console.warn(`Hold duration ${requestedHoldMs}ms capped at ${holdMs}ms`);
+  }
+
+  return {
+    type: 'command',
+    data: {
+      transcript,
+      normalizedTranscript,
+      confidence,
+      command: matchResult.command,
+      matchedPhrase: matchResult.matchedPhrase,
+      matchQuality: matchResult.matchQuality,
+      decisionScore: matchResult.decisionScore,
+      repeat,
+      holdMs: commandHoldMs
+    }
+  };
+}
+
+/**
+ * Classify a raw utterance that may contain several commands
+ * Each conjunction-separated segment is matched on its own. Returns a
+ * 'commandBatch' with the executable segments in spoken order, or falls
+ * back to a single-command classification.
+ * @param {string} transcript - Raw transcript as heard
+ * @param {number} confidence - Recognition confidence
+ * @param {object} options - Matching options (commands, thresholds)
+ * @returns {object} - { type: 'command'|'commandBatch'|'lowConfidence'|'noMatch', data }
+ */
+function classifyUtterance(transcript, confidence, options = {}) {
+  const normalizedTranscript = normalizeTranscript(transcript);
+  const segments = splitUtterance(normalizedTranscript);
+
+  // A phrase that itself contains a conjunction wins over splitting
+  const wholeMatch = matchCommand(normalizedTranscript, confidence, options);
+  if (segments.length <= 1 || (wholeMatch && wholeMatch.score === 0)) {
+    return classifyTranscript(transcript, confidence, options);
+  }
+
+  const results = segments.map((segment) => classifyTranscript(segment, confidence, options));
+  const commands = results
+    .filter((result) => result.type === 'command')
+    .map((result, index, matched) => ({
+      ...result.data,
+      utterance: transcript,
+      batchIndex: index,
+      batchSize: matched.length
+    }));
+
+  if (commands.length === 0) {
+    // Nothing executable - surface the first suggestion, if any
+    const suggestion = results.find((result) => result.type === 'lowConfidence');
+    return suggestion
+      ? { type: 'lowConfidence', data: { ...suggestion.data, transcript, normalizedTranscript } }
+      : { type: 'noMatch', data: { transcript, normalizedTranscript, confidence } };
+  }
+
+  return {
+    type: 'commandBatch',
+    data: {
+      transcript,
+      normalizedTranscript,
+      confidence,
+      commands,
+      skipped: results.filter((result) => result.type !== 'command').map((result) => result.data)
+    }
+  };
+}
+
+/**
+ * Interpret a reply to a pending suggestion
+ * @param {string} transcript - Raw transcript as heard
+ * @returns {string|null} - 'confirm', 'deny', or null if it is not a reply
+ */
+function matchConfirmation(transcript) {
+  const text = tokenize(normalizeTranscript(transcript))
+    .filter((token) => !FILLER_WORDS.has(token))
+    .join(' ');
+
+  if (CONFIRMATION_REPLIES.confirm.includes(text)) return 'confirm';
+  if (CONFIRMATION_REPLIES.deny.includes(text)) return 'deny';
+  return null;
+}
+
+/**
+ * Preference between result types when comparing recognition alternatives
+ */
+const RESULT_RANK = { command: 3, commandBatch: 3, lowConfidence: 2, noMatch: 1 };
+
+/**
+ * Decision score of a classification (weakest command for a batch)
+ * @param {object} result - { type, data } from classifyUtterance
+ * @returns {number}
+ */
+function resultScore({ type, data }) {
+  if (type === 'commandBatch') {
+    return Math.min(...data.commands.map((entry) => entry.decisionScore));
+  }
+  return data.decisionScore || 0;
+}
+
+/**
+ * Classify every n-best recognition alternative and keep the best outcome
+ * An executable match beats a suggestion, which beats no match; ties are
+ * broken by decision score, then by recognizer order. Chrome reports
+ * confidence 0 for every alternative after the first, so those are scored
+ * below the top alternative, discounted by rank - never above what was
+ * heard best. The ASR threshold check uses the top alternative's confidence
+ * for all of them, so the discount alone never stops an alternative that
+ * matches well.
+ * @param {Array} alternatives - [{ transcript, confidence, index? }] in recognizer order
+ * @param {object} options - Matching options (commands, thresholds)
+ * @returns {object} - { type, data } with data.alternativeIndex and data.alternatives
+ */
+function classifyAlternatives(alternatives, options = {}) {
+  let best = null;
+  const topConfidence = alternatives.length > 0 && alternatives[0].confidence > 0
+    ? alternatives[0].confidence
+    : (options.unknownConfidence !== undefined ? options.unknownConfidence : DEFAULT_OPTIONS.unknownConfidence);
+
+  alternatives.forEach((alternative, position) => {
+    const confidence = alternative.confidence > 0 || position === 0
+      ? alternative.confidence
+      : topConfidence * Math.pow(SCORING.alternativeDiscount, position);
+    const result = classifyUtterance(alternative.transcript, confidence, { ...options, asrConfidence: topConfidence });
+    const rank = RESULT_RANK[result.type];
+    const score = resultScore(result);
+
+    if (!best || rank > best.rank || (rank === best.rank && score > best.score)) {
+      best = {
+        result,
+        rank,
+        score,
+        index: alternative.index !== undefined ? alternative.index : position
+      };
+    }
+  });
+
+  return {
+    type: best.result.type,
+    data: {
+      ...best.result.data,
+      alternativeIndex: best.index,
+      alternatives: alternatives.map(({ transcript, confidence }) => ({ transcript, confidence }))
+    }
+  };
+}
+
+module.exports = {
+  levenshteinDistance,
+  tokenize,
+  convertSpokenNumbers,
+  normalizeTranscript,
+  normalizeCommands,
+  stripWakeWord,
+  extractRepeatCount,
+  extractHoldDuration,
+  splitUtterance,
+  matchQuality,
+  decisionScore,
+  matchCommand,
+  findFalsePositives,
+  classifyTranscript,
+  classifyUtterance,
+  classifyAlternatives,
+  matchConfirmation,
+  CONJUNCTIONS,
+  CONFIRMATION_REPLIES,
+  FILLER_WORDS,
+  FALSE_POSITIVE_SAMPLES,
+  SCORING,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,175 @@
+/**
+ * Phonetic Encoding Module
+ *
+ * Metaphone encoding (Lawrence Philips' original rules) so the matcher can
+ * treat sound-alike words as equal: "write" / "right", "rid on" / "ride on".
+ * Digits and other non-letters pass through unchanged.
+ */
+
+const VOWELS = 'AEIOU';
+
+/**
+ * Check if a character is a vowel
+ * @param {string} ch - Single uppercase character (or undefined)
+ * @returns {boolean}
+ */
+function isVowel(ch) {
+  return ch !== undefined && ch !== '' && VOWELS.includes(ch);
+}
+
+/**
+ * Encode a single word with Metaphone
+ * @param {string} word - Word to encode
+ * @returns {string} - Phonetic key (uppercase, may be empty)
+ */
+function metaphone(word) {
+  let w = word.toUpperCase().replace(/[^A-Z]/g, '');
+
+  if (!w) {
+    // Numbers and symbols keep their literal form
+    return word.replace(/[^0-9]/g, '');
+  }
+
+  // Initial letter exceptions
+  if (/^(KN|GN|PN|AE|WR)/.test(w)) {
+    w = w.slice(1);
+  } else if (w[0] === 'X') {
+    w = 'S' + w.slice(1);
+  } else if (w.startsWith('WH')) {
+    w = 'W' + w.slice(2);
+  }
+
+  // Drop duplicate adjacent letters, except C
+  w = w.replace(/([A-BD-Z])\1+/g, '$1');
+
+  let key = '';
+
+  for (let i = 0; i < w.length; i++) {
+    const ch = w[i];
+    const prev = w[i - 1];
+    const next = w[i + 1];
+    const next2 = w[i + 2];
+
+    switch (ch) {
+      case 'A': case 'E': case 'I': case 'O': case 'U':
+        if (i === 0) key += ch;
+        break;
+
+      case 'B':
+        // Silent in a trailing "MB" ("climb")
+        if (!(prev === 'M' && i === w.length - 1)) key += 'B';
+        break;
+
+      case 'C':
+        if (next === 'I' && next2 === 'A') {
+          key += 'X';
+        } else if (next === 'H') {
+          key += prev === 'S' ? 'K' : 'X';
+          i++;
+        } else if (next === 'I' || next === 'E' || next === 'Y') {
+          if (prev !== 'S') key += 'S';
+        } else {
+          key += 'K';
+        }
+        break;
+
+      case 'D':
+        if (next === 'G' && 'EIY'.includes(next2 || '-')) {
+          key += 'J';
+          i++;
+        } else {
+          key += 'T';
+        }
+        break;
+
+      case 'G':
+        if (next === 'H' && !(i + 2 >= w.length || isVowel(next2))) {
+          // Silent "GH" ("right", "night")
+          i++;
+        } else if (next === 'H') {
+          key += 'K';
+          i++;
+        } else if (next === 'N' && (i + 2 === w.length || w.slice(i + 1) === 'NED')) {
+          // Silent in trailing "GN" / "GNED" ("sign")
+        } else if ('EIY'.includes(next || '-')) {
+          key += 'J';
+        } else {
+          key += 'K';
+        }
+        break;
+
+      case 'H':
+        // Silent after a vowel with no vowel following, or in CH/SH/PH/TH/GH
+        if (!(isVowel(prev) && !isVowel(next)) && !'CSPTG'.includes(prev || '-')) {
+          key += 'H';
+        }
+        break;
+
+      case 'K':
+        if (prev !== 'C') key += 'K';
+        break;
+
+      case 'P':
+        if (next === 'H') {
+          key += 'F';
+          i++;
+        } else {
+          key += 'P';
+        }
+        break;
+
+      case 'Q':
+        key += 'K';
+        break;
+
+      case 'S':
+        if (next === 'H') {
+          key += 'X';
+          i++;
+        } else if (next === 'I' && (next2 === 'O' || next2 === 'A')) {
+          key += 'X';
+        } else {
+          key += 'S';
+        }
+        break;
+
+      case 'T':
+        if (next === 'I' && (next2 === 'O' || next2 === 'A')) {
+          key += 'X';
+        } else if (next === 'H') {
+          key += '0'; // "th"
+          i++;
+        } else if (!(next === 'C' && next2 === 'H')) {
+          key += 'T';
+        }
+        break;
+
+      case 'V':
+        key += 'F';
+        break;
+
+      case 'W':
+      case 'Y':
+        if (isVowel(next)) key += ch;
+        break;
+
+      case 'X':
+        key += 'KS';
+        break;
+
+      case 'Z':
+        key += 'S';
+        break;
+
+      default:
+        // F, J, L, M, N, R
+        key += ch;
+    }
+  }
+
+  return key;
+}
+
+module.exports = {
+  metaphone
+};
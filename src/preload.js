@@ -2,28 +2,45 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose protected methods to renderer
 contextBridge.exposeInMainWorld('electronAPI', {
-  // Listening state
-  getListeningState: () => ipcRenderer.invoke('get-listening-state'),
+  // App state (listening, trainer mode, threshold, test mode, rate limit, profile)
+  getAppState: () => ipcRenderer.invoke('get-app-state'),
+  onAppStateChanged: (callback) => {
+    ipcRenderer.on('app-state-changed', (event, state) => callback(state));
+  },
+
+  // Listening
   startListening: () => ipcRenderer.send('start-listening'),
   stopListening: () => ipcRenderer.send('stop-listening'),
   toggleListening: () => ipcRenderer.send('toggle-listening'),
+  getRecognizerState: () => ipcRenderer.invoke('get-recognizer-state'),
 
   // Commands
   getCommands: () => ipcRenderer.invoke('get-commands'),
   getVoiceCommands: () => ipcRenderer.invoke('get-voice-commands'),
+  getCatalogStatus: () => ipcRenderer.invoke('get-catalog-status'),
+  saveVoiceCommand: (command) => ipcRenderer.invoke('save-voice-command', command),
+  deleteVoiceCommand: (id) => ipcRenderer.invoke('delete-voice-command', id),
   testKeyboard: (key) => ipcRenderer.invoke('test-keyboard', key),
   executeCommand: (key) => ipcRenderer.invoke('execute-command', key),
 
   // Voice settings
   setConfidenceThreshold: (threshold) => ipcRenderer.send('set-confidence-threshold', threshold),
   setTrainerMode: (enabled) => ipcRenderer.send('set-trainer-mode', enabled),
+  setWakeWord: (enabled, wakeWord) => ipcRenderer.send('set-wake-word', { enabled, wakeWord }),
+  setConfirmation: (enabled, earcon) => ipcRenderer.send('set-confirmation', { enabled, earcon }),
   getVoiceSettings: () => ipcRenderer.invoke('get-voice-settings'),
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  importLegacySettings: (legacy) => ipcRenderer.invoke('import-legacy-settings', legacy),
+  setLaunchAtStartup: (enabled) => ipcRenderer.invoke('set-launch-at-startup', enabled),
+  getAutostartStatus: () => ipcRenderer.invoke('get-autostart-status'),
+
+  // Global shortcuts
+  getShortcuts: () => ipcRenderer.invoke('get-shortcuts'),
+  setShortcut: (action, accelerator) => ipcRenderer.invoke('set-shortcut', action, accelerator),
+  setListenOnLaunch: (enabled) => ipcRenderer.send('set-listen-on-launch', enabled),
   simulateVoiceCommand: (text) => ipcRenderer.send('simulate-voice-command', text),
 
   // Event listeners
-  onListeningStateChanged: (callback) => {
-    ipcRenderer.on('listening-state-changed', (event, state) => callback(state));
-  },
   onVoiceCommand: (callback) => {
     ipcRenderer.on('voice-command', (event, data) => callback(data));
   },
@@ -36,9 +53,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onVoiceNoMatch: (callback) => {
     ipcRenderer.on('voice-no-match', (event, data) => callback(data));
   },
+  onVoiceGated: (callback) => {
+    ipcRenderer.on('voice-gated', (event, data) => callback(data));
+  },
+  onVoiceConfirmation: (callback) => {
+    ipcRenderer.on('voice-confirmation', (event, data) => callback(data));
+  },
   onVoiceError: (callback) => {
     ipcRenderer.on('voice-error', (event, error) => callback(error));
   },
+  onVoiceCommandsChanged: (callback) => {
+    ipcRenderer.on('voice-commands-changed', (event, status) => callback(status));
+  },
+  onRecognizerStateChanged: (callback) => {
+    ipcRenderer.on('recognizer-state-changed', (event, state) => callback(state));
+  },
 
   // Permissions
   getPermissionStatus: () => ipcRenderer.invoke('get-permission-status'),
@@ -51,34 +80,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
 
   // Test mode and keyboard settings
-  getTestMode: () => ipcRenderer.invoke('get-test-mode'),
   setTestMode: (enabled) => ipcRenderer.send('set-test-mode', enabled),
   getNotificationsEnabled: () => ipcRenderer.invoke('get-notifications-enabled'),
   setNotificationsEnabled: (enabled) => ipcRenderer.send('set-notifications-enabled', enabled),
-  getRateLimit: () => ipcRenderer.invoke('get-rate-limit'),
   setRateLimit: (ms) => ipcRenderer.send('set-rate-limit', ms),
+  setFocusGuard: (policy, targetApp) => ipcRenderer.send('set-focus-guard', { policy, targetApp }),
   getKeyboardConfig: () => ipcRenderer.invoke('get-keyboard-config'),
   getCommandHistory: () => ipcRenderer.invoke('get-command-history'),
   clearCommandHistory: () => ipcRenderer.send('clear-command-history'),
 
-  // Test mode and command execution events
-  onTestModeChanged: (callback) => {
-    ipcRenderer.on('test-mode-changed', (event, enabled) => callback(enabled));
-  },
+  // Command execution events
   onCommandExecuted: (callback) => {
     ipcRenderer.on('command-executed', (event, result) => callback(result));
   },
 
   // Cleanup
   removeAllListeners: () => {
-    ipcRenderer.removeAllListeners('listening-state-changed');
+    ipcRenderer.removeAllListeners('app-state-changed');
     ipcRenderer.removeAllListeners('voice-command');
     ipcRenderer.removeAllListeners('voice-interim');
     ipcRenderer.removeAllListeners('voice-low-confidence');
     ipcRenderer.removeAllListeners('voice-no-match');
+    ipcRenderer.removeAllListeners('voice-gated');
+    ipcRenderer.removeAllListeners('voice-confirmation');
     ipcRenderer.removeAllListeners('voice-error');
+    ipcRenderer.removeAllListeners('recognizer-state-changed');
+    ipcRenderer.removeAllListeners('voice-commands-changed');
     ipcRenderer.removeAllListeners('permission-status');
-    ipcRenderer.removeAllListeners('test-mode-changed');
     ipcRenderer.removeAllListeners('command-executed');
   }
 });
@@ -0,0 +1,166 @@
+/**
+ * Recognizer process - hosts voice recognition in a hidden window
+ *
+ * Owned by main.js and kept alive for the whole app lifetime, so voice
+ * commands work whether or not the Settings window is open.
+ * All results are reported to the main process over IPC.
+ */
+
+const { ipcRenderer } = require('electron');
+const { VoiceRecognition } = require('./voice');
+
+const voiceRecognition = new VoiceRecognition({
+  language: 'en-US',
+  continuous: true,
+  interimResults: true,
+  confidenceThreshold: 0.75
+});
+
+// Whether the main process wants us listening
+let shouldListen = false;
+
+// Play a short tone when a suggestion waits for "yes" / "no"
+let earconEnabled = true;
+let audioContext = null;
+
+/**
+ * Play a short earcon
+ * @param {number[]} frequencies - Tones in Hz, played one after another
+ */
+function playEarcon(frequencies) {
+  try {
+    if (!audioContext) {
+      audioContext = new AudioContext();
+    }
+
+    const start = audioContext.currentTime;
+    frequencies.forEach((frequency, index) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      const toneStart = start + index * 0.12;
+
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, toneStart);
+      gain.gain.exponentialRampToValueAtTime(0.001, toneStart + 0.1);
+
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(toneStart);
+      oscillator.stop(toneStart + 0.1);
+    });
+  } catch (error) {
+    console.warn('Could not play earcon:', error);
+  }
+}
+
+/**
+ * Report recognizer state to the main process
+ */
+function reportState() {
+  const listening = voiceRecognition.isListening();
+
+  ipcRenderer.send('recognizer-state', {
+    ready: true,
+    supported: voiceRecognition.isSupported(),
+    listening,
+    gate: voiceRecognition.getGateState()
+  });
+
+  // Stopped without being asked (permission denied, too many restarts)
+  if (shouldListen && !listening) {
+    shouldListen = false;
+    ipcRenderer.send('recognizer-stopped');
+  }
+}
+
+// Forward recognition events to the main process
+voiceRecognition.on('command', (data) => {
+  ipcRenderer.send('voice-command-received', data);
+});
+
+voiceRecognition.on('commandBatch', (data) => {
+  ipcRenderer.send('voice-command-batch-received', data);
+});
+
+voiceRecognition.on('interim', (data) => {
+  ipcRenderer.send('voice-interim', data);
+});
+
+voiceRecognition.on('lowConfidence', (data) => {
+  ipcRenderer.send('voice-low-confidence', data);
+});
+
+voiceRecognition.on('noMatch', (data) => {
+  ipcRenderer.send('voice-no-match', data);
+});
+
+voiceRecognition.on('confirmation', (data) => {
+  if (earconEnabled && data.state === 'pending') {
+    playEarcon([660, 880]);
+  }
+  ipcRenderer.send('voice-confirmation', data);
+});
+
+voiceRecognition.on('error', (error) => {
+  // Error objects don't survive structured cloning, send the message only
+  ipcRenderer.send('voice-error', { message: error.message });
+  reportState();
+});
+
+voiceRecognition.on('gated', (data) => {
+  ipcRenderer.send('voice-gated', data);
+});
+
+voiceRecognition.on('gate', reportState);
+voiceRecognition.on('start', reportState);
+voiceRecognition.on('stop', reportState);
+
+// Commands from the main process
+ipcRenderer.on('recognizer-start', () => {
+  shouldListen = true;
+  if (!voiceRecognition.isListening()) {
+    voiceRecognition.start();
+  }
+  reportState();
+});
+
+ipcRenderer.on('recognizer-stop', () => {
+  shouldListen = false;
+  if (voiceRecognition.isListening()) {
+    voiceRecognition.stop();
+  }
+  reportState();
+});
+
+ipcRenderer.on('voice-settings-changed', (event, settings) => {
+  voiceRecognition.setThreshold(settings.confidenceThreshold);
+  voiceRecognition.setTrainerMode(settings.trainerMode);
+  voiceRecognition.setConfirmationEnabled(settings.confirmationEnabled);
+  earconEnabled = settings.confirmationEarcon;
+
+  const gate = voiceRecognition.getGateState();
+  if (settings.wakeWordEnabled !== gate.enabled || settings.wakeWord !== gate.wakeWord) {
+    voiceRecognition.setWakeWord(settings.wakeWordEnabled, settings.wakeWord);
+    reportState();
+  }
+});
+
+// Mute / talk window
+ipcRenderer.on('recognizer-accepting', (event, { accepting, reason }) => {
+  voiceRecognition.setAccepting(accepting, reason);
+});
+
+ipcRenderer.on('voice-commands-changed', (event, commands) => {
+  voiceRecognition.setCommands(commands);
+});
+
+// Stop cleanly if the window is torn down
+window.addEventListener('unload', () => {
+  if (voiceRecognition.isListening()) {
+    voiceRecognition.stop();
+  }
+});
+
+ipcRenderer.send('recognizer-ready', {
+  supported: voiceRecognition.isSupported()
+});
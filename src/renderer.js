@@ -1,21 +1,18 @@
 /**
  * Renderer process - UI logic for settings window
- * Includes voice recognition using Web Speech API
+ * Voice recognition runs in the hidden recognizer window; this page only
+ * reflects its results and state, received from the main process over IPC.
  */
 
-// Import voice recognition module (runs in renderer for Web Speech API access)
-const { VoiceRecognition } = require('./voice');
-
-// Voice recognition instance
-let voiceRecognition = null;
-
 // DOM Elements
 const statusIndicator = document.getElementById('status-indicator');
 const toggleBtn = document.getElementById('toggle-btn');
 const commandsList = document.getElementById('commands-list');
+const catalogStatus = document.getElementById('catalog-status');
 const commandLog = document.getElementById('command-log');
 const testResult = document.getElementById('test-result');
 const audioLevel = document.getElementById('audio-level');
+const gateIndicator = document.getElementById('gate-indicator');
 
 // Voice feedback elements
 const voiceHeard = document.getElementById('voice-heard');
@@ -24,6 +21,7 @@ const voiceInterim = document.getElementById('voice-interim');
 const confidenceBadge = document.getElementById('confidence-badge');
 const lowConfidenceWarning = document.getElementById('low-confidence-warning');
 const suggestedCommand = document.getElementById('suggested-command');
+const confirmationHint = document.getElementById('confirmation-hint');
 
 // Permission elements
 const micPermissionIcon = document.getElementById('mic-permission-icon');
@@ -34,8 +32,15 @@ const recheckPermissionsBtn = document.getElementById('recheck-permissions-btn')
 
 // Settings elements
 const launchStartup = document.getElementById('launch-startup');
+const listenOnLaunch = document.getElementById('listen-on-launch');
 const showNotifications = document.getElementById('show-notifications');
+const targetApp = document.getElementById('target-app');
+const focusPolicy = document.getElementById('focus-policy');
 const trainerMode = document.getElementById('trainer-mode');
+const wakeWordEnabled = document.getElementById('wake-word-enabled');
+const wakeWordInput = document.getElementById('wake-word-input');
+const confirmationEnabled = document.getElementById('confirmation-enabled');
+const confirmationEarcon = document.getElementById('confirmation-earcon');
 const confidenceSlider = document.getElementById('confidence-slider');
 const thresholdValue = document.getElementById('threshold-value');
 const testVoiceInput = document.getElementById('test-voice-input');
@@ -49,12 +54,33 @@ const rateLimitValue = document.getElementById('rate-limit-value');
 const toastContainer = document.getElementById('toast-container');
 
 // Command filter buttons
-const filterBtns = document.querySelectorAll('.filter-btn');
+const filterBtns = document.querySelectorAll('.filter-btn[data-priority]');
+
+// Command editor elements
+const addCommandBtn = document.getElementById('add-command-btn');
+const commandEditor = document.getElementById('command-editor');
+const editorPhrases = document.getElementById('editor-phrases');
+const editorDescription = document.getElementById('editor-description');
+const editorKeyRow = document.getElementById('editor-key-row');
+const editorKey = document.getElementById('editor-key');
+const editorPriority = document.getElementById('editor-priority');
+const editorEnabled = document.getElementById('editor-enabled');
+const editorErrors = document.getElementById('editor-errors');
+const editorDeleteBtn = document.getElementById('editor-delete-btn');
+const editorCancelBtn = document.getElementById('editor-cancel-btn');
+const editorSaveBtn = document.getElementById('editor-save-btn');
+const shortcutInputs = document.querySelectorAll('.shortcut-input');
+const shortcutErrors = document.getElementById('shortcut-errors');
 
 // State
 let isListening = false;
 let isTestMode = false;
+let commandGate = { muted: false, pushToTalk: false, talking: false };
+let recognizerState = { ready: false, supported: true, listening: false };
 let voiceCommands = [];
+let catalogEditable = false;
+let editingCommand = null; // Command open in the editor ({} when adding)
+let capturedKey = null;
 const commandHistory = [];
 const MAX_LOG_ENTRIES = 15;
 let currentFilter = 'all';
@@ -63,26 +89,27 @@ let currentFilter = 'all';
  * Initialize the UI
  */
 async function initialize() {
-  // Initialize voice recognition
-  initializeVoiceRecognition();
+  // Subscribe to voice recognition results
+  setupVoiceListeners();
 
-  // Get initial listening state
-  isListening = await window.electronAPI.getListeningState();
-  updateStatusUI();
+  // Get initial app and recognizer state
+  recognizerState = await window.electronAPI.getRecognizerState();
+  applyAppState(await window.electronAPI.getAppState());
 
-  // Load voice commands
+  // Load voice commands (and reload when commands.json changes)
   await loadVoiceCommands();
+  window.electronAPI.onVoiceCommandsChanged(() => loadVoiceCommands());
 
   // Set up event listeners
   setupEventListeners();
 
-  // Listen for state changes from main process
-  window.electronAPI.onListeningStateChanged((state) => {
-    if (state && !isListening) {
-      startVoiceRecognition();
-    } else if (!state && isListening) {
-      stopVoiceRecognition();
-    }
+  // Listen for app state changes (from this window, the tray or voice)
+  window.electronAPI.onAppStateChanged(applyAppState);
+
+  // Listen for recognizer window state changes
+  window.electronAPI.onRecognizerStateChanged((state) => {
+    recognizerState = state;
+    updateStatusUI();
   });
 
   // Listen for permission status updates
@@ -94,32 +121,19 @@ async function initialize() {
   const permissionStatus = await window.electronAPI.getPermissionStatus();
   updatePermissionUI(permissionStatus);
 
-  // Listen for test mode changes from tray menu
-  window.electronAPI.onTestModeChanged((enabled) => {
-    isTestMode = enabled;
-    testModeCheckbox.checked = enabled;
-    updateTestModeUI();
-  });
-
   // Listen for command execution notifications
   window.electronAPI.onCommandExecuted((result) => {
+    if (result.coolingDown) {
+      markLogEntry(result.key, 'cooling down');
+    }
     if (showNotifications.checked) {
       showToast(result);
     }
   });
 
-  // Get initial test mode state
-  isTestMode = await window.electronAPI.getTestMode();
-  testModeCheckbox.checked = isTestMode;
-  updateTestModeUI();
-
-  // Get initial rate limit
-  const rateLimit = await window.electronAPI.getRateLimit();
-  rateLimitSlider.value = rateLimit;
-  rateLimitValue.textContent = `${rateLimit}ms`;
-
-  // Load saved settings
-  loadSettings();
+  // Load saved settings (owned by the main process)
+  await loadSettings();
+  renderShortcuts(await window.electronAPI.getShortcuts());
 
   console.log('Zwift Voice Control UI initialized');
 }
@@ -143,25 +157,53 @@ function showToast(result) {
 
   let toastClass = 'toast';
   let icon = '✓';
-  let title = result.description || result.key;
+  // Descriptions, keys and errors can come from the user catalog or another app's name
+  const title = escapeHtml(result.description || result.key || '');
+  const key = result.key ? escapeHtml(result.key.toUpperCase()) : '';
   let message = '';
 
   if (result.testMode) {
     toastClass += ' test-mode';
     icon = '🧪';
-    message = `Would press <span class="toast-key">${result.key.toUpperCase()}</span>`;
+    message = `Would ${result.held ? 'hold' : 'press'} <span class="toast-key">${key}</span>`;
   } else if (result.queued) {
     toastClass += ' queued';
     icon = '⏳';
-    message = `Queued (position ${result.queuePosition})`;
+    message = result.coalesced
+      ? `Already queued (position ${result.queuePosition})`
+      : `Queued (position ${result.queuePosition})`;
+  } else if (result.dropped) {
+    toastClass += ' cancelled';
+    icon = result.reason === 'expired' ? '⌛' : '⊘';
+    message = `Dropped <span class="toast-key">${key}</span> - ${escapeHtml(result.error)}`;
+  } else if (result.coolingDown) {
+    toastClass += ' cancelled';
+    icon = '⏱';
+    message = `Cooling down <span class="toast-key">${key}</span> - ready in ${formatDuration(result.retryInMs)}`;
+  } else if (result.blocked) {
+    toastClass += ' cancelled';
+    icon = '⊘';
+    message = `Not sent: ${escapeHtml(result.error)}`;
+  } else if (result.cancelled) {
+    toastClass += ' cancelled';
+    icon = '⊘';
+    message = `Cancelled <span class="toast-key">${key}</span>`;
+  } else if (result.success && result.held) {
+    toastClass += ' success';
+    icon = '⇣';
+    message = `Holding <span class="toast-key">${key}</span> for ${formatDuration(result.holdMs)}`;
+  } else if (result.success && result.released) {
+    toastClass += ' success';
+    icon = '⇡';
+    message = `Released <span class="toast-key">${key}</span>`;
   } else if (result.success) {
     toastClass += ' success';
     icon = '✓';
-    message = `Pressed <span class="toast-key">${result.key.toUpperCase()}</span>`;
+    message = `Pressed <span class="toast-key">${key}</span>`;
   } else {
     toastClass += ' error';
     icon = '✗';
-    message = result.error || 'Failed to execute';
+    message = escapeHtml(result.error || 'Failed to execute');
   }
 
   const time = new Date().toLocaleTimeString('en-US', {
@@ -229,114 +271,97 @@ function updatePermissionUI(status) {
 }
 
 /**
- * Initialize Web Speech API voice recognition
+ * Subscribe to voice recognition events forwarded by the main process
  */
-function initializeVoiceRecognition() {
-  voiceRecognition = new VoiceRecognition({
-    language: 'en-US',
-    continuous: true,
-    interimResults: true,
-    confidenceThreshold: 0.75
-  });
-
-  // Handle recognized commands
-  voiceRecognition.on('command', async (data) => {
+function setupVoiceListeners() {
+  // Handle recognized commands (executed by the main process)
+  window.electronAPI.onVoiceCommand((data) => {
     console.log('Voice command:', data);
 
     // Update UI
-    updateVoiceFeedback(data.transcript, data.command.description, data.confidence);
+    const repeatLabel = data.repeat > 1 ? ` ×${data.repeat}` : '';
+    updateVoiceFeedback(data.transcript, `${data.command.description}${repeatLabel}`, getScore(data));
     highlightCommand(data.command);
     addLogEntry(data, true);
 
     // Hide low confidence warning
     lowConfidenceWarning.classList.remove('visible');
-
-    // Execute the command via main process
-    const success = await window.electronAPI.executeCommand(data.command.key);
-    console.log(`Command executed: ${success}`);
   });
 
   // Handle interim results
-  voiceRecognition.on('interim', (data) => {
+  window.electronAPI.onVoiceInterim((data) => {
     voiceInterim.textContent = `"${data.transcript}"...`;
   });
 
   // Handle low confidence results
-  voiceRecognition.on('lowConfidence', (data) => {
+  window.electronAPI.onVoiceLowConfidence((data) => {
     console.log('Low confidence:', data);
 
-    updateVoiceFeedback(data.transcript, null, data.confidence);
+    updateVoiceFeedback(data.transcript, null, getScore(data));
 
-    // Show suggestion
+    // Show suggestion (the hint appears once the recognizer waits for a reply)
     suggestedCommand.textContent = data.suggestedCommand.description;
+    confirmationHint.classList.remove('visible');
     lowConfidenceWarning.classList.add('visible');
 
     addLogEntry({
       transcript: data.transcript,
       command: data.suggestedCommand,
       confidence: data.confidence,
+      decisionScore: data.decisionScore,
       isLowConfidence: true
     }, false);
   });
 
   // Handle no match
-  voiceRecognition.on('noMatch', (data) => {
+  window.electronAPI.onVoiceNoMatch((data) => {
     console.log('No match:', data);
 
     updateVoiceFeedback(data.transcript, 'No match', data.confidence);
     lowConfidenceWarning.classList.remove('visible');
   });
 
-  // Handle errors
-  voiceRecognition.on('error', (error) => {
-    console.error('Voice recognition error:', error);
-    testResult.textContent = error.message;
-    testResult.className = 'test-note error';
-  });
+  // Handle "yes" / "no" confirmation of a suggestion
+  window.electronAPI.onVoiceConfirmation((data) => {
+    if (data.state === 'pending') {
+      confirmationHint.classList.add('visible');
+      return;
+    }
 
-  // Handle start/stop
-  voiceRecognition.on('start', () => {
-    audioLevel.classList.add('active');
+    confirmationHint.classList.remove('visible');
+    lowConfidenceWarning.classList.remove('visible');
+
+    if (data.state === 'dismissed') {
+      voiceMatched.textContent = 'Suggestion dismissed';
+    }
   });
 
-  voiceRecognition.on('stop', () => {
-    audioLevel.classList.remove('active');
+  // Handle speech ignored (no wake word, muted, talk window closed)
+  window.electronAPI.onVoiceGated((data) => {
+    const reasons = {
+      'wake-word': `say "${data.wakeWord}" first`,
+      muted: 'commands are muted',
+      'talk-window': 'press the talk shortcut first'
+    };
+    voiceHeard.textContent = `"${data.transcript}"`;
+    voiceMatched.textContent = `Ignored - ${reasons[data.reason]}`;
     voiceInterim.textContent = '';
   });
-}
 
-/**
- * Start voice recognition
- */
-function startVoiceRecognition() {
-  if (!voiceRecognition) {
-    initializeVoiceRecognition();
-  }
-
-  isListening = true;
-  updateStatusUI();
-
-  // Apply current settings
-  const threshold = confidenceSlider.value / 100;
-  voiceRecognition.setThreshold(threshold);
-  voiceRecognition.setTrainerMode(trainerMode.checked);
-
-  voiceRecognition.start();
+  // Handle errors
+  window.electronAPI.onVoiceError((error) => {
+    console.error('Voice recognition error:', error);
+    testResult.textContent = error.message;
+    testResult.className = 'test-note error';
+  });
 }
 
 /**
- * Stop voice recognition
+ * Get the score to display for a recognition result
+ * The fused decision score when matched, raw ASR confidence otherwise.
  */
-function stopVoiceRecognition() {
-  isListening = false;
-  updateStatusUI();
-
-  if (voiceRecognition) {
-    voiceRecognition.stop();
-  }
-
-  // Clear interim display
-  voiceInterim.textContent = '';
+function getScore(data) {
+  return data.decisionScore !== undefined ? data.decisionScore : data.confidence;
 }
 
 /**
@@ -369,10 +394,8 @@ function setupEventListeners() {
   // Toggle listening button
   toggleBtn.addEventListener('click', () => {
     if (isListening) {
-      stopVoiceRecognition();
       window.electronAPI.stopListening();
     } else {
-      startVoiceRecognition();
       window.electronAPI.startListening();
     }
   });
@@ -404,8 +427,8 @@ function setupEventListeners() {
   // Test voice input
   testVoiceBtn.addEventListener('click', () => {
     const text = testVoiceInput.value.trim();
-    if (text && voiceRecognition) {
-      voiceRecognition.simulateCommand(text, 0.95);
+    if (text) {
+      window.electronAPI.simulateVoiceCommand(text);
       testVoiceInput.value = '';
     }
   });
@@ -426,51 +449,91 @@ function setupEventListeners() {
     });
   });
 
+  // Custom command editor
+  addCommandBtn.addEventListener('click', () => openCommandEditor());
+  editorCancelBtn.addEventListener('click', closeCommandEditor);
+  editorSaveBtn.addEventListener('click', saveEditedCommand);
+  editorDeleteBtn.addEventListener('click', deleteEditedCommand);
+
+  // Global shortcut capture
+  shortcutInputs.forEach((input) => {
+    input.addEventListener('keydown', async (e) => {
+      e.preventDefault();
+
+      let accelerator;
+      if ((e.key === 'Backspace' || e.key === 'Delete') && !e.metaKey && !e.ctrlKey && !e.altKey && !e.shiftKey) {
+        accelerator = '';
+      } else {
+        accelerator = acceleratorFromEvent(e);
+        if (accelerator === null) return; // Still holding modifiers
+        if (!accelerator) {
+          shortcutErrors.textContent = 'Use a function key, or a key with Ctrl, Alt or Cmd';
+          return;
+        }
+      }
+
+      renderShortcuts(await window.electronAPI.setShortcut(input.dataset.action, accelerator));
+      input.blur();
+    });
+  });
+
+  editorKey.addEventListener('keydown', (e) => {
+    e.preventDefault();
+    if (['Meta', 'Control', 'Alt', 'Shift'].includes(e.key)) return; // Still building a chord
+
+    const key = keyFromEvent(e);
+    if (key) {
+      capturedKey = key;
+      editorKey.value = formatKey(key);
+      editorErrors.textContent = '';
+    } else {
+      editorErrors.textContent = `"${e.key}" can't be sent to Zwift - pick another key`;
+    }
+  });
+
   // Trainer mode toggle
   trainerMode.addEventListener('change', () => {
     const enabled = trainerMode.checked;
-    if (voiceRecognition) {
-      voiceRecognition.setTrainerMode(enabled);
-    }
     window.electronAPI.setTrainerMode(enabled);
+  });
 
-    // Update slider to show trainer mode threshold
-    if (enabled) {
-      confidenceSlider.value = 80;
-      thresholdValue.textContent = '80%';
-    }
+  // Wake word gating
+  wakeWordEnabled.addEventListener('change', applyWakeWord);
+  wakeWordInput.addEventListener('change', applyWakeWord);
 
-    saveSettings();
-  });
+  // Spoken confirmation of suggestions
+  confirmationEnabled.addEventListener('change', applyConfirmation);
+  confirmationEarcon.addEventListener('change', applyConfirmation);
 
   // Confidence threshold slider
   confidenceSlider.addEventListener('input', () => {
     const value = confidenceSlider.value;
     thresholdValue.textContent = `${value}%`;
-
-    if (voiceRecognition) {
-      voiceRecognition.setThreshold(value / 100);
-    }
     window.electronAPI.setConfidenceThreshold(value / 100);
   });
 
-  confidenceSlider.addEventListener('change', () => {
-    saveSettings();
-  });
-
   // General settings
-  launchStartup.addEventListener('change', saveSettings);
+  launchStartup.addEventListener('change', async () => {
+    const result = await window.electronAPI.setLaunchAtStartup(launchStartup.checked);
+    launchStartup.checked = result.enabled;
+    if (!result.success) {
+      console.error('Launch at startup:', result.error);
+    }
+  });
+  listenOnLaunch.addEventListener('change', () => {
+    window.electronAPI.setListenOnLaunch(listenOnLaunch.checked);
+  });
   showNotifications.addEventListener('change', () => {
     window.electronAPI.setNotificationsEnabled(showNotifications.checked);
-    saveSettings();
   });
+  targetApp.addEventListener('change', applyFocusGuard);
+  focusPolicy.addEventListener('change', applyFocusGuard);
 
   // Test mode toggle
   testModeCheckbox.addEventListener('change', () => {
     isTestMode = testModeCheckbox.checked;
     window.electronAPI.setTestMode(isTestMode);
     updateTestModeUI();
-    saveSettings();
   });
 
   // Rate limit slider
@@ -482,7 +545,6 @@ function setupEventListeners() {
   rateLimitSlider.addEventListener('change', () => {
     const value = parseInt(rateLimitSlider.value, 10);
     window.electronAPI.setRateLimit(value);
-    saveSettings();
   });
 
   // Permission buttons
@@ -518,19 +580,84 @@ function setupEventListeners() {
  * Update the status indicator and button
  */
 function updateStatusUI() {
+  const statusText = statusIndicator.querySelector('.status-text');
+
   if (isListening) {
     statusIndicator.classList.add('listening');
-    statusIndicator.querySelector('.status-text').textContent = 'Listening...';
+    statusText.textContent = getListeningStatusText();
     toggleBtn.innerHTML = '<span class="btn-icon">🎤</span> Stop Listening';
     toggleBtn.classList.add('listening');
-    audioLevel.classList.add('active');
   } else {
     statusIndicator.classList.remove('listening');
-    statusIndicator.querySelector('.status-text').textContent = 'Not Listening';
+    statusText.textContent = recognizerState.supported ? 'Not Listening' : 'Speech recognition unavailable';
     toggleBtn.innerHTML = '<span class="btn-icon">🎤</span> Start Listening';
     toggleBtn.classList.remove('listening');
+  }
+
+  // Audio bars follow the recognizer itself, not just the requested state
+  if (isListening && recognizerState.listening) {
+    audioLevel.classList.add('active');
+  } else {
     audioLevel.classList.remove('active');
   }
+
+  updateGateUI(recognizerState.gate);
+}
+
+/**
+ * Describe the listening state, including mute and the talk window
+ */
+function getListeningStatusText() {
+  if (!recognizerState.listening) return 'Starting...';
+  if (commandGate.muted) return 'Muted';
+  if (commandGate.pushToTalk && !commandGate.talking) return 'Press to talk';
+  return 'Listening...';
+}
+
+/**
+ * Update the wake word gate indicator
+ */
+function updateGateUI(gate) {
+  if (!gate || !gate.enabled || !isListening) {
+    gateIndicator.classList.remove('visible', 'open');
+    return;
+  }
+
+  gateIndicator.classList.add('visible');
+
+  if (gate.open) {
+    gateIndicator.classList.add('open');
+    gateIndicator.textContent = 'Ready for command';
+  } else {
+    gateIndicator.classList.remove('open');
+    gateIndicator.textContent = `Say "${gate.wakeWord}"`;
+  }
+}
+
+/**
+ * Send wake word settings to the main process
+ */
+function applyWakeWord() {
+  window.electronAPI.setWakeWord(wakeWordEnabled.checked, wakeWordInput.value);
+}
+
+/**
+ * Send spoken confirmation settings to the main process
+ */
+function applyConfirmation() {
+  confirmationEarcon.disabled = !confirmationEnabled.checked;
+  window.electronAPI.setConfirmation(confirmationEnabled.checked, confirmationEarcon.checked);
+}
+
+/**
+ * Send focus guard settings to the main process
+ */
+function applyFocusGuard() {
+  targetApp.disabled = focusPolicy.value === 'allow';
+  if (!targetApp.value.trim()) {
+    targetApp.value = 'Zwift';
+  }
+  window.electronAPI.setFocusGuard(focusPolicy.value, targetApp.value);
 }
 
 /**
@@ -539,6 +666,12 @@ function updateStatusUI() {
 async function loadVoiceCommands() {
   try {
     voiceCommands = await window.electronAPI.getVoiceCommands();
+
+    // The editor saves to commands.json, so it can't while the file has errors
+    const status = await window.electronAPI.getCatalogStatus();
+    catalogEditable = Boolean(status.path) && status.errors.length === 0;
+    addCommandBtn.disabled = !catalogEditable;
+    renderCatalogStatus(status);
   } catch (e) {
     console.error('Failed to load voice commands:', e);
     voiceCommands = [];
@@ -547,6 +680,48 @@ async function loadVoiceCommands() {
   renderCommands();
 }
 
+/**
+ * Show where commands come from, why the catalog file was rejected, and
+ * any contradictions found by the catalog checker
+ */
+function renderCatalogStatus(status) {
+  catalogStatus.innerHTML = '';
+  catalogStatus.classList.toggle('error', status.errors.length > 0);
+
+  const summary = document.createElement('div');
+  if (status.errors.length > 0) {
+    summary.textContent = `${status.path} has errors - using ${status.builtIn ? 'built-in' : 'previously loaded'} commands:`;
+  } else {
+    summary.textContent = status.path ? `Edit ${status.path} to customise commands` : '';
+  }
+  catalogStatus.appendChild(summary);
+
+  status.errors.forEach((error) => {
+    const item = document.createElement('div');
+    item.className = 'catalog-error';
+    item.textContent = error;
+    catalogStatus.appendChild(item);
+  });
+
+  if (status.warnings && status.warnings.length > 0) {
+    const details = document.createElement('details');
+    details.className = 'catalog-warnings';
+
+    const title = document.createElement('summary');
+    title.textContent = `⚠️ ${status.warnings.length} catalog warning${status.warnings.length === 1 ? '' : 's'}`;
+    details.appendChild(title);
+
+    status.warnings.forEach((warning) => {
+      const item = document.createElement('div');
+      item.className = 'catalog-warning';
+      item.textContent = warning.message;
+      details.appendChild(item);
+    });
+
+    catalogStatus.appendChild(details);
+  }
+}
+
 /**
  * Render commands list
  */
@@ -567,18 +742,231 @@ function renderCommands() {
       const mainPhrase = cmd.phrases[0];
       const priorityLabel = cmd.priority === 1 ? 'Racing' : cmd.priority === 2 ? 'Training' : 'Other';
 
+      const classes = ['command-item'];
+      if (cmd.enabled === false) classes.push('disabled');
+      if (editingCommand && editingCommand.id === cmd.id) classes.push('editing');
+
       return `
-        <div class="command-item" data-phrase="${mainPhrase}" data-key="${cmd.key}" data-priority="${cmd.priority}">
-          <span class="command-phrase">"${mainPhrase}"<span class="command-priority p${cmd.priority}">${priorityLabel}</span></span>
-          <span class="command-key">${formatKey(cmd.key)}</span>
+        <div class="${classes.join(' ')}" data-id="${escapeHtml(cmd.id || '')}" data-key="${getCommandTarget(cmd)}" data-priority="${cmd.priority}">
+          <span class="command-phrase">"${escapeHtml(mainPhrase)}"<span class="command-priority p${cmd.priority}">${priorityLabel}</span></span>
+          <span class="command-key">${formatCommandTarget(cmd)}</span>
         </div>
       `;
     })
     .join('');
 
+  commandsList.querySelectorAll('.command-item').forEach((item) => {
+    item.addEventListener('click', () => {
+      const command = voiceCommands.find((cmd) => cmd.id === item.dataset.id);
+      if (command && catalogEditable) {
+        openCommandEditor(command);
+      }
+    });
+  });
+
   filterCommands(currentFilter);
 }
 
+/**
+ * Escape text for use in HTML (phrases and ids come from the user catalog)
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Map a captured KeyboardEvent to a key spec ("g", "shift+minus"), or null if unsupported
+ * Uses the physical key, so Shift+1 is "shift+1" rather than "!".
+ */
+function keyFromEvent(event) {
+  const named = {
+    Space: 'space',
+    Escape: 'escape',
+    Tab: 'tab',
+    Enter: 'enter',
+    Backspace: 'backspace',
+    Delete: 'delete',
+    Home: 'home',
+    End: 'end',
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    PageUp: 'pageup',
+    PageDown: 'pagedown',
+    Minus: 'minus',
+    Equal: 'equal',
+    Comma: 'comma',
+    Period: 'period',
+    Slash: 'slash',
+    Backslash: 'backslash',
+    Semicolon: 'semicolon',
+    Quote: 'quote',
+    Backquote: 'backquote',
+    BracketLeft: 'leftbracket',
+    BracketRight: 'rightbracket'
+  };
+
+  let key = null;
+  if (named[event.code]) key = named[event.code];
+  else if (/^F([1-9]|1[0-2])$/.test(event.code)) key = event.code.toLowerCase();
+  else if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3).toLowerCase();
+  else if (/^Digit[0-9]$/.test(event.code)) key = event.code.slice(5);
+  if (!key) return null;
+
+  const modifiers = [];
+  if (event.ctrlKey) modifiers.push('control');
+  if (event.altKey) modifiers.push('alt');
+  if (event.shiftKey) modifiers.push('shift');
+  if (event.metaKey) modifiers.push('command');
+
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * Map a captured KeyboardEvent to an Electron accelerator
+ * Returns null while only modifiers are down, and '' for combinations that
+ * would steal ordinary typing (a plain letter, or one with just Shift).
+ */
+function acceleratorFromEvent(event) {
+  const named = {
+    ' ': 'Space',
+    Enter: 'Return',
+    Tab: 'Tab',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    PageUp: 'PageUp',
+    PageDown: 'PageDown',
+    Home: 'Home',
+    End: 'End'
+  };
+
+  if (['Meta', 'Control', 'Alt', 'Shift'].includes(event.key)) return null;
+
+  let key = null;
+  if (named[event.key]) key = named[event.key];
+  else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(event.key)) key = event.key;
+  else if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+  else if (/^Digit[0-9]$/.test(event.code)) key = event.code.slice(5);
+
+  const isFunctionKey = /^F\d+$/.test(key || '');
+  if (!key || (!isFunctionKey && !event.metaKey && !event.ctrlKey && !event.altKey)) return '';
+
+  const modifiers = [];
+  if (event.metaKey) modifiers.push(navigator.platform.startsWith('Mac') ? 'Command' : 'Super');
+  if (event.ctrlKey) modifiers.push('Control');
+  if (event.altKey) modifiers.push('Alt');
+  if (event.shiftKey) modifiers.push('Shift');
+
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * Format an accelerator for display
+ */
+function formatAccelerator(accelerator) {
+  const isMac = navigator.platform.startsWith('Mac');
+  return accelerator
+    .replace('CommandOrControl', isMac ? 'Command' : 'Control')
+    .replace('CmdOrCtrl', isMac ? 'Command' : 'Control')
+    .split('+')
+    .join(' + ');
+}
+
+/**
+ * Show shortcut bindings and any that couldn't be registered
+ * @param {object} status - { bindings, errors }
+ */
+function renderShortcuts({ bindings, errors }) {
+  shortcutInputs.forEach((input) => {
+    const accelerator = bindings[input.dataset.action];
+    input.value = accelerator ? formatAccelerator(accelerator) : '';
+  });
+
+  shortcutErrors.textContent = Object.values(errors).join('. ');
+}
+
+/**
+ * Open the editor for a command, or for a new one
+ */
+function openCommandEditor(command = {}) {
+  editingCommand = command;
+  capturedKey = command.key || null;
+
+  editorPhrases.value = (command.phrases || []).join(', ');
+  editorDescription.value = command.description || '';
+  editorKey.value = capturedKey ? formatKey(capturedKey) : '';
+  editorPriority.value = String(command.priority || 2);
+  editorEnabled.checked = command.enabled !== false;
+  editorErrors.textContent = '';
+
+  // Control commands (cancel / undo / release) have no key to capture
+  editorKeyRow.style.display = hasKey(command) ? '' : 'none';
+  editorDeleteBtn.style.display = command.id ? '' : 'none';
+
+  commandEditor.classList.add('visible');
+  renderCommands();
+  editorPhrases.focus();
+}
+
+/**
+ * Close the command editor without saving
+ */
+function closeCommandEditor() {
+  editingCommand = null;
+  capturedKey = null;
+  commandEditor.classList.remove('visible');
+  renderCommands();
+}
+
+/**
+ * Save the command in the editor to the catalog
+ */
+async function saveEditedCommand() {
+  const command = {
+    ...editingCommand,
+    phrases: editorPhrases.value.split(',').map((phrase) => phrase.trim().toLowerCase()).filter(Boolean),
+    description: editorDescription.value.trim(),
+    priority: parseInt(editorPriority.value, 10),
+    enabled: editorEnabled.checked
+  };
+
+  if (hasKey(command)) {
+    command.key = capturedKey;
+    // The old keyCode belongs to the old key
+    if (editingCommand.key !== capturedKey) delete command.keyCode;
+  }
+
+  const result = await window.electronAPI.saveVoiceCommand(command);
+  if (result.success) {
+    closeCommandEditor();
+  } else {
+    editorErrors.textContent = result.errors.join(' ');
+  }
+}
+
+/**
+ * Delete the command in the editor
+ */
+async function deleteEditedCommand() {
+  if (!editingCommand.id || !confirm(`Delete "${editingCommand.description}"?`)) {
+    return;
+  }
+
+  const result = await window.electronAPI.deleteVoiceCommand(editingCommand.id);
+  if (result.success) {
+    closeCommandEditor();
+  } else {
+    editorErrors.textContent = result.errors.join(' ');
+  }
+}
+
 /**
  * Filter commands by priority
  */
@@ -601,15 +989,82 @@ function formatKey(key) {
     space: 'Space',
     escape: 'Esc',
     tab: 'Tab',
+    enter: 'Enter',
+    backspace: 'Bksp',
+    delete: 'Del',
+    home: 'Home',
+    end: 'End',
     left: '←',
     right: '→',
     down: '↓',
     up: '↑',
     pageup: 'PgUp',
     pagedown: 'PgDn',
-    f10: 'F10'
+    shift: 'Shift',
+    control: 'Ctrl',
+    ctrl: 'Ctrl',
+    alt: 'Alt',
+    command: 'Cmd',
+    cmd: 'Cmd',
+    minus: '-',
+    equal: '=',
+    comma: ',',
+    period: '.',
+    slash: '/',
+    backslash: '\\',
+    semicolon: ';',
+    quote: "'",
+    backquote: '`',
+    leftbracket: '[',
+    rightbracket: ']',
+    f10: 'F10',
+    f11: 'F11',
+    f12: 'F12'
   };
-  return keyMap[key.toLowerCase()] || key.toUpperCase();
+
+  // Key specs: "shift+g" → "Shift+G"
+  return key
+    .split('+')
+    .map((part) => keyMap[part.trim().toLowerCase()] || part.trim().toUpperCase())
+    .join('+');
+}
+
+/**
+ * Format a control action (cancel / undo / release) for display
+ */
+function formatAction(action) {
+  return action.charAt(0).toUpperCase() + action.slice(1);
+}
+
+/**
+ * Format what a command triggers for the commands list
+ */
+function formatCommandTarget(command) {
+  if (!hasKey(command)) {
+    return formatAction(command.action);
+  }
+  return command.action === 'hold' ? `${formatKey(command.key)} (hold)` : formatKey(command.key);
+}
+
+/**
+ * Format a hold time in ms as seconds ("2s", "1.5s")
+ */
+function formatDuration(ms) {
+  return `${+(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Check whether a command sends a key (plain and hold commands do)
+ */
+function hasKey(command) {
+  return !command.action || command.action === 'hold';
+}
+
+/**
+ * Get what a command triggers - its key, or its action for control commands
+ */
+function getCommandTarget(command) {
+  return command.key || command.action;
 }
 
 /**
@@ -621,7 +1076,7 @@ function highlightCommand(command) {
 
   // Find by key match
   commandItems.forEach((item) => {
-    if (item.dataset.key === command.key) {
+    if (item.dataset.key === getCommandTarget(command)) {
       matchedItem = item;
     }
   });
@@ -655,11 +1110,15 @@ function highlightCommand(command) {
  */
 function addLogEntry(data, success = true) {
   const entry = {
-    command: data.command?.description || 'Unknown',
+    command: data.command
+      ? `${data.command.description}${data.repeat > 1 ? ` ×${data.repeat}` : ''}`
+      : 'Unknown',
+    key: data.command ? data.command.key : null,
     transcript: data.transcript,
-    confidence: data.confidence,
+    confidence: getScore(data),
     success,
     isLowConfidence: data.isLowConfidence || false,
+    batchLabel: data.batchSize > 1 ? `${data.batchIndex + 1}/${data.batchSize}` : null,
     time: new Date()
   };
 
@@ -673,6 +1132,18 @@ function addLogEntry(data, success = true) {
   updateLogUI();
 }
 
+/**
+ * Mark the latest log entry for a key as not sent, with the reason
+ */
+function markLogEntry(key, note) {
+  const entry = commandHistory.find((item) => item.key === key && item.success && !item.note);
+  if (!entry) return;
+
+  entry.success = false;
+  entry.note = note;
+  updateLogUI();
+}
+
 /**
  * Update the command log display
  */
@@ -691,8 +1162,8 @@ function updateLogUI() {
       return `
         <div class="log-entry ${entryClass}">
           <div class="log-entry-left">
-            <span class="log-command">${entry.command}</span>
-            <span class="log-heard">"${entry.transcript}"</span>
+            <span class="log-command">${escapeHtml(entry.command)}</span>
+            <span class="log-heard">"${escapeHtml(entry.transcript)}"${entry.batchLabel ? ` · ${escapeHtml(entry.batchLabel)}` : ''}${entry.note ? ` · ${escapeHtml(entry.note)}` : ''}</span>
           </div>
           <div class="log-entry-right">
             <span class="log-time">${formatTime(entry.time)}</span>
@@ -717,61 +1188,80 @@ function formatTime(date) {
 }
 
 /**
- * Load saved settings from localStorage
+ * Load settings from the main process
+ * Settings from older versions, kept in localStorage, are handed over once.
  */
-function loadSettings() {
+async function loadSettings() {
   try {
-    const settings = JSON.parse(localStorage.getItem('zwiftVoiceSettings') || '{}');
-
-    launchStartup.checked = settings.launchStartup || false;
-    showNotifications.checked = settings.showNotifications !== false;
-    trainerMode.checked = settings.trainerMode || false;
+    await importLegacySettings();
+
+    const settings = await window.electronAPI.getSettings();
+    const { voice, keyboard, general } = settings;
+
+    launchStartup.checked = general.launchAtStartup;
+    listenOnLaunch.checked = general.listenOnLaunch;
+
+    const autostartStatus = await window.electronAPI.getAutostartStatus();
+    launchStartup.disabled = !autostartStatus.supported;
+    showNotifications.checked = keyboard.notificationsEnabled;
+    targetApp.value = keyboard.targetApp;
+    focusPolicy.value = keyboard.focusPolicy;
+    targetApp.disabled = keyboard.focusPolicy === 'allow';
+    wakeWordEnabled.checked = voice.wakeWordEnabled;
+    wakeWordInput.value = voice.wakeWord;
+    confirmationEnabled.checked = voice.confirmationEnabled;
+    confirmationEarcon.checked = voice.confirmationEarcon;
+    confirmationEarcon.disabled = !voice.confirmationEnabled;
+  } catch (e) {
+    console.error('Error loading settings:', e);
+  }
+}
 
-    const threshold = settings.confidenceThreshold || 75;
-    confidenceSlider.value = threshold;
-    thresholdValue.textContent = `${threshold}%`;
+/**
+ * Show the app state owned by the main process
+ * Trainer mode keeps the standard threshold on the slider and shows the
+ * threshold actually in effect next to it.
+ * @param {object} state - { listening, trainerMode, threshold, testMode, rateLimitMs, profile }
+ */
+function applyAppState(state) {
+  isListening = state.listening;
+  commandGate = { muted: state.muted, pushToTalk: state.pushToTalk, talking: state.talking };
+  updateStatusUI();
+  if (!isListening) {
+    voiceInterim.textContent = '';
+  }
 
-    // Test mode and rate limit (these are also synced from main process)
-    if (settings.testMode !== undefined) {
-      testModeCheckbox.checked = settings.testMode;
-      isTestMode = settings.testMode;
-      updateTestModeUI();
-    }
+  trainerMode.checked = state.trainerMode;
+  const threshold = Math.round(state.threshold * 100);
+  confidenceSlider.value = threshold;
+  thresholdValue.textContent = state.profile.name === 'trainer'
+    ? `${threshold}% (trainer: ${Math.round(state.profile.threshold * 100)}%)`
+    : `${threshold}%`;
 
-    if (settings.rateLimit !== undefined) {
-      rateLimitSlider.value = settings.rateLimit;
-      rateLimitValue.textContent = `${settings.rateLimit}ms`;
-    }
+  isTestMode = state.testMode;
+  testModeCheckbox.checked = isTestMode;
+  updateTestModeUI();
 
-    // Apply to voice recognition
-    if (voiceRecognition) {
-      voiceRecognition.setThreshold(threshold / 100);
-      voiceRecognition.setTrainerMode(settings.trainerMode || false);
-    }
-  } catch (e) {
-    console.error('Error loading settings:', e);
-  }
+  rateLimitSlider.value = state.rateLimitMs;
+  rateLimitValue.textContent = `${state.rateLimitMs}ms`;
 }
 
 /**
- * Save settings to localStorage
+ * Hand settings saved by older versions over to the main process
  */
-function saveSettings() {
-  const settings = {
-    launchStartup: launchStartup.checked,
-    showNotifications: showNotifications.checked,
-    trainerMode: trainerMode.checked,
-    confidenceThreshold: parseInt(confidenceSlider.value, 10),
-    testMode: testModeCheckbox.checked,
-    rateLimit: parseInt(rateLimitSlider.value, 10)
-  };
+async function importLegacySettings() {
+  const saved = localStorage.getItem('zwiftVoiceSettings');
+  if (!saved) {
+    return;
+  }
 
   try {
-    localStorage.setItem('zwiftVoiceSettings', JSON.stringify(settings));
-    console.log('Settings saved:', settings);
+    await window.electronAPI.importLegacySettings(JSON.parse(saved));
   } catch (e) {
-    console.error('Error saving settings:', e);
+    console.error('Error importing saved settings:', e);
   }
+
+  localStorage.removeItem('zwiftVoiceSettings');
 }
 
 // Initialize when DOM is ready
@@ -779,8 +1269,5 @@ document.addEventListener('DOMContentLoaded', initialize);
 
 // Cleanup on unload
 window.addEventListener('unload', () => {
-  if (voiceRecognition && isListening) {
-    voiceRecognition.stop();
-  }
   window.electronAPI.removeAllListeners();
 });
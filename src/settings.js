@@ -0,0 +1,275 @@
+/**
+ * Settings Store Module
+ *
+ * Versioned settings owned by the main process, kept in settings.json in the
+ * app's user data directory. Older files (and the settings the Settings
+ * window used to keep in localStorage) are migrated on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Current settings format version
+ */
+const SETTINGS_VERSION = 2;
+
+/**
+ * Delay before writing changes - sliders report every step
+ */
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Default settings (current version)
+ */
+const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  voice: {
+    confidenceThreshold: 0.75,
+    trainerMode: false,
+    wakeWordEnabled: false,
+    wakeWord: 'zwift',
+    confirmationEnabled: true,
+    confirmationEarcon: true
+  },
+  keyboard: {
+    testMode: false,
+    rateLimitMs: 300,
+    notificationsEnabled: true,
+    focusPolicy: 'block',     // 'block', 'focus' or 'allow' when Zwift isn't in front
+    targetApp: 'Zwift'
+  },
+  general: {
+    launchAtStartup: false,
+    listenOnLaunch: false
+  },
+  shortcuts: {                // Electron accelerators, empty = not bound
+    toggleListening: 'CommandOrControl+Shift+L',
+    mute: 'CommandOrControl+Shift+M',
+    pushToTalk: ''
+  },
+  legacyImported: false     // localStorage settings already taken over
+};
+
+/**
+ * Migrations from each version to the next
+ * Version 1 is the flat shape the Settings window kept in localStorage,
+ * with the confidence threshold as a percentage.
+ */
+const MIGRATIONS = {
+  1: (old) => ({
+    version: 2,
+    voice: {
+      confidenceThreshold: old.confidenceThreshold !== undefined ? old.confidenceThreshold / 100 : undefined,
+      trainerMode: old.trainerMode,
+      wakeWordEnabled: old.wakeWordEnabled,
+      wakeWord: old.wakeWord,
+      confirmationEnabled: old.confirmationEnabled,
+      confirmationEarcon: old.confirmationEarcon
+    },
+    keyboard: {
+      testMode: old.testMode,
+      rateLimitMs: old.rateLimit,
+      notificationsEnabled: old.showNotifications
+    },
+    // The old "launch at startup" checkbox never set anything up, so it isn't
+    // carried over - launchAtStartup follows the real login item instead
+    general: {}
+  })
+};
+
+/**
+ * State
+ */
+let settings = clone(DEFAULT_SETTINGS);
+let settingsPath = null;
+let saveTimer = null;
+let readOnly = false;   // settings.json is from a newer version - never overwrite it
+
+/**
+ * Deep copy plain settings data
+ * @param {object} data
+ * @returns {object}
+ */
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Drop undefined values so they don't override defaults
+ * @param {object} section - One settings section
+ * @returns {object}
+ */
+function defined(section = {}) {
+  return Object.fromEntries(Object.entries(section).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Bring settings data up to the current version
+ * Data without a version is treated as version 1.
+ * @param {object} data - Parsed settings
+ * @returns {object} - Settings in the current format
+ */
+function migrate(data) {
+  let current = { ...data, version: data.version || 1 };
+
+  while (current.version < SETTINGS_VERSION) {
+    const step = MIGRATIONS[current.version];
+    if (!step) {
+      throw new Error(`No migration from settings version ${current.version}`);
+    }
+    console.log(`Migrating settings from version ${current.version}`);
+    current = { ...step(current), legacyImported: current.legacyImported };
+  }
+
+  return current;
+}
+
+/**
+ * Fill in defaults for anything missing
+ * @param {object} data - Settings in the current format
+ * @returns {object}
+ */
+function withDefaults(data) {
+  return {
+    version: SETTINGS_VERSION,
+    voice: { ...DEFAULT_SETTINGS.voice, ...defined(data.voice) },
+    keyboard: { ...DEFAULT_SETTINGS.keyboard, ...defined(data.keyboard) },
+    general: { ...DEFAULT_SETTINGS.general, ...defined(data.general) },
+    shortcuts: { ...DEFAULT_SETTINGS.shortcuts, ...defined(data.shortcuts) },
+    legacyImported: data.legacyImported === true
+  };
+}
+
+/**
+ * Load settings from disk, migrating older versions
+ * Missing or unreadable files fall back to the defaults. A file from a newer
+ * version is used as far as it is understood but never written back, so
+ * going back to an older build doesn't lose the newer settings.
+ * @param {string} filePath - Path to settings.json
+ * @returns {object} - Current settings
+ */
+function initSettings(filePath) {
+  settingsPath = filePath;
+  readOnly = false;
+
+  if (!fs.existsSync(filePath)) {
+    settings = clone(DEFAULT_SETTINGS);
+    return getSettings();
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version > SETTINGS_VERSION) {
+      console.warn(`settings.json is version ${data.version}, newer than supported (${SETTINGS_VERSION}) - changes won't be saved`);
+      readOnly = true;
+    }
+
+    const migrated = migrate(data);
+    settings = withDefaults(migrated);
+
+    if (!readOnly && data.version !== settings.version) {
+      saveSettings();
+    }
+  } catch (error) {
+    console.error('Could not load settings, using defaults:', error.message);
+    settings = clone(DEFAULT_SETTINGS);
+  }
+
+  return getSettings();
+}
+
+/**
+ * Get a copy of the current settings
+ * @returns {object}
+ */
+function getSettings() {
+  return clone(settings);
+}
+
+/**
+ * Change settings in one section and save them shortly after
+ * @param {string} section - 'voice', 'keyboard', 'general' or 'shortcuts'
+ * @param {object} changes - Fields to change
+ * @returns {object} - Current settings
+ */
+function updateSettings(section, changes) {
+  if (!settings[section] || typeof settings[section] !== 'object') {
+    throw new Error(`Unknown settings section: ${section}`);
+  }
+
+  settings[section] = { ...settings[section], ...defined(changes) };
+  scheduleSave();
+  return getSettings();
+}
+
+/**
+ * Take over settings the Settings window kept in localStorage (once)
+ * @param {object} legacy - Flat localStorage settings (version 1 shape)
+ * @returns {boolean} - True if they were imported
+ */
+function importLegacySettings(legacy) {
+  if (settings.legacyImported || !legacy || typeof legacy !== 'object') {
+    return false;
+  }
+
+  const migrated = migrate({ ...legacy, version: 1 });
+  settings = withDefaults({
+    voice: { ...settings.voice, ...defined(migrated.voice) },
+    keyboard: { ...settings.keyboard, ...defined(migrated.keyboard) },
+    general: { ...settings.general, ...defined(migrated.general) },
+    shortcuts: settings.shortcuts,
+    legacyImported: true
+  });
+
+  console.log('Imported settings from the Settings window');
+  saveSettings();
+  return true;
+}
+
+/**
+ * Write settings after a short delay, batching rapid changes
+ */
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveSettings, SAVE_DELAY_MS);
+}
+
+/**
+ * Write settings to disk now
+ */
+function saveSettings() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  if (!settingsPath || readOnly) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+  } catch (error) {
+    console.error('Could not save settings:', error.message);
+  }
+}
+
+/**
+ * Write any pending changes (call before quitting)
+ */
+function flushSettings() {
+  if (saveTimer) {
+    saveSettings();
+  }
+}
+
+module.exports = {
+  initSettings,
+  getSettings,
+  updateSettings,
+  importLegacySettings,
+  flushSettings,
+  migrate,
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION
+};
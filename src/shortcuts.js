@@ -0,0 +1,120 @@
+/**
+ * Global Shortcuts Module
+ *
+ * Registers the system-wide shortcuts that toggle listening, mute commands
+ * and open the talk window, so they work while Zwift has focus.
+ */
+
+const { globalShortcut } = require('electron');
+
+/**
+ * Shortcut actions (bindings are kept in the settings store; `pushToTalk`
+ * is the talk window)
+ */
+const SHORTCUT_ACTIONS = ['toggleListening', 'mute', 'pushToTalk'];
+
+/**
+ * How long the talk window stays open after the shortcut is pressed
+ * Global shortcuts only report presses, never releases, so this is a timed
+ * gate rather than push-to-talk: each press (or key repeat) restarts it.
+ */
+const TALK_WINDOW_MS = 5000;
+
+/**
+ * State
+ */
+let registered = {};   // action → accelerator
+let talkTimer = null;
+
+/**
+ * Open the talk window on a press, closing it TALK_WINDOW_MS after the last one
+ * @param {Function} onOpen - Called when the window opens
+ * @param {Function} onClose - Called when it times out
+ * @returns {Function} - Call on every press or repeat
+ */
+function createTalkWindowHandler(onOpen, onClose) {
+  return () => {
+    if (!talkTimer) {
+      onOpen();
+    }
+
+    clearTimeout(talkTimer);
+    talkTimer = setTimeout(() => {
+      talkTimer = null;
+      onClose();
+    }, TALK_WINDOW_MS);
+  };
+}
+
+/**
+ * Register shortcuts, replacing any registered before
+ * @param {object} bindings - action → accelerator (empty to leave unbound)
+ * @param {object} handlers - action → function; pushToTalk takes { onOpen, onClose }
+ * @returns {object} - action → error message, for shortcuts that couldn't be registered
+ */
+function registerShortcuts(bindings, handlers) {
+  unregisterShortcuts();
+  const errors = {};
+
+  SHORTCUT_ACTIONS.forEach((action) => {
+    const accelerator = bindings[action];
+    if (!accelerator || !handlers[action]) {
+      return;
+    }
+
+    if (Object.values(registered).includes(accelerator)) {
+      errors[action] = `${accelerator} is already used by another shortcut`;
+      return;
+    }
+
+    const callback = action === 'pushToTalk'
+      ? createTalkWindowHandler(handlers.pushToTalk.onOpen, handlers.pushToTalk.onClose)
+      : handlers[action];
+
+    try {
+      if (globalShortcut.register(accelerator, callback)) {
+        registered[action] = accelerator;
+        console.log(`Shortcut ${accelerator} → ${action}`);
+      } else {
+        errors[action] = `${accelerator} is in use by another app`;
+      }
+    } catch (error) {
+      errors[action] = `${accelerator} is not a valid shortcut`;
+    }
+  });
+
+  Object.entries(errors).forEach(([action, error]) => {
+    console.warn(`Shortcut for ${action} not registered: ${error}`);
+  });
+
+  return errors;
+}
+
+/**
+ * Remove every shortcut registered by this module
+ */
+function unregisterShortcuts() {
+  Object.values(registered).forEach((accelerator) => {
+    globalShortcut.unregister(accelerator);
+  });
+  registered = {};
+
+  clearTimeout(talkTimer);
+  talkTimer = null;
+}
+
+/**
+ * Get the shortcuts currently registered
+ * @returns {object} - action → accelerator
+ */
+function getRegisteredShortcuts() {
+  return { ...registered };
+}
+
+module.exports = {
+  registerShortcuts,
+  unregisterShortcuts,
+  getRegisteredShortcuts,
+  SHORTCUT_ACTIONS,
+  TALK_WINDOW_MS
+};
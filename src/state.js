@@ -0,0 +1,71 @@
+/**
+ * App State Store
+ *
+ * A small observable store: one place to read state, one way to change it,
+ * one subscription API. main.js keeps the shared app state here and fans
+ * every change out to the windows and the tray menu.
+ */
+
+/**
+ * Create a store
+ * @param {object} initialState - Starting state (shallow, plain values)
+ * @returns {object} - { get, set, subscribe }
+ */
+function createStore(initialState = {}) {
+  let state = { ...initialState };
+  const listeners = new Set();
+
+  /**
+   * Get a copy of the current state
+   * @returns {object}
+   */
+  function get() {
+    return { ...state };
+  }
+
+  /**
+   * Change state and notify subscribers of what actually changed
+   * @param {object} changes - Fields to change
+   * @returns {object} - The fields that changed (empty if none did)
+   */
+  function set(changes) {
+    const changed = {};
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (JSON.stringify(state[key]) !== JSON.stringify(value)) {
+        changed[key] = value;
+      }
+    });
+
+    if (Object.keys(changed).length === 0) {
+      return changed;
+    }
+
+    state = { ...state, ...changed };
+    listeners.forEach((listener) => {
+      try {
+        listener(get(), changed);
+      } catch (error) {
+        console.error('State listener failed:', error);
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Listen for changes
+   * @param {Function} listener - Called with (state, changed)
+   * @returns {Function} - Call to unsubscribe
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { get, set, subscribe };
+}
+
+module.exports = {
+  createStore
+};
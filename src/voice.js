@@ -6,291 +6,14 @@
  */
 
 const EventEmitter = require('events');
-
-/**
- * Levenshtein distance for fuzzy matching
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {number} - Edit distance
- */
-function levenshteinDistance(a, b) {
-  const matrix = [];
-
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
-  }
-
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
-  }
-
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1, // substitution
-          matrix[i][j - 1] + 1,     // insertion
-          matrix[i - 1][j] + 1      // deletion
-        );
-      }
-    }
-  }
-
-  return matrix[b.length][a.length];
-}
-
-/**
- * Convert spoken numbers to digits
- * @param {string} text - Input text
- * @returns {string} - Text with numbers converted
- */
-function convertSpokenNumbers(text) {
-  const numberMap = {
-    'zero': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
-    'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9',
-    'ten': '10'
-  };
-
-  let result = text.toLowerCase();
-  for (const [word, digit] of Object.entries(numberMap)) {
-    result = result.replace(new RegExp(`\\b${word}\\b`, 'gi'), digit);
-  }
-  return result;
-}
-
-/**
- * Voice command definitions with priority ordering
- * PRIORITY 1: Racing commands (most valuable to competitive riders)
- * PRIORITY 2: Training commands
- * PRIORITY 3: Convenience commands
- */
-const VOICE_COMMANDS = [
-  // PRIORITY 1 - RACING COMMANDS
-  {
-    phrases: ['elbow flick', 'elbow', 'signal', 'flick', 'elbow flex'],
-    key: '4',
-    keyCode: 21,
-    description: 'Elbow flick signal',
-    priority: 1
-  },
-  {
-    phrases: ['power up', 'use power up', 'activate', 'powerup', 'power-up', 'use powerup', 'boost'],
-    key: 'space',
-    keyCode: 49,
-    description: 'Use power-up',
-    priority: 1
-  },
-  {
-    phrases: ['turn left', 'left', 'go left', 'take left'],
-    key: 'left',
-    keyCode: 123,
-    description: 'Turn left',
-    priority: 1
-  },
-  {
-    phrases: ['turn right', 'right', 'go right', 'take right'],
-    key: 'right',
-    keyCode: 124,
-    description: 'Turn right',
-    priority: 1
-  },
-  {
-    phrases: ['go straight', 'straight', 'straight on', 'straight ahead'],
-    key: 'up',
-    keyCode: 126,
-    description: 'Go straight',
-    priority: 1
-  },
-  // Camera commands - racing essential
-  {
-    phrases: ['camera 1', 'camera one', 'view 1', 'view one'],
-    key: '1',
-    keyCode: 18,
-    description: 'Camera view 1',
-    priority: 1
-  },
-  {
-    phrases: ['camera 2', 'camera two', 'view 2', 'view two'],
-    key: '2',
-    keyCode: 19,
-    description: 'Camera view 2',
-    priority: 1
-  },
-  {
-    phrases: ['camera 3', 'camera three', 'view 3', 'view three', 'behind view'],
-    key: '3',
-    keyCode: 20,
-    description: 'Camera view 3 (behind)',
-    priority: 1
-  },
-  {
-    phrases: ['camera 4', 'camera four', 'view 4', 'view four'],
-    key: '5',
-    keyCode: 23,
-    description: 'Camera view 4',
-    priority: 1
-  },
-  {
-    phrases: ['camera 5', 'camera five', 'view 5', 'view five'],
-    key: '6',
-    keyCode: 22,
-    description: 'Camera view 5',
-    priority: 1
-  },
-  {
-    phrases: ['camera 6', 'camera six', 'view 6', 'view six'],
-    key: '7',
-    keyCode: 26,
-    description: 'Camera view 6',
-    priority: 1
-  },
-  {
-    phrases: ['camera 7', 'camera seven', 'view 7', 'view seven'],
-    key: '8',
-    keyCode: 28,
-    description: 'Camera view 7',
-    priority: 1
-  },
-  {
-    phrases: ['camera 8', 'camera eight', 'view 8', 'view eight'],
-    key: '9',
-    keyCode: 25,
-    description: 'Camera view 8',
-    priority: 1
-  },
-  {
-    phrases: ['camera 9', 'camera nine', 'view 9', 'view nine', 'drone view', 'drone'],
-    key: '0',
-    keyCode: 29,
-    description: 'Camera view 9 (drone)',
-    priority: 1
-  },
-
-  // PRIORITY 2 - TRAINING COMMANDS
-  {
-    phrases: ['u turn', 'u-turn', 'turn around', 'reverse', 'go back', 'uturn'],
-    key: 'down',
-    keyCode: 125,
-    description: 'U-Turn',
-    priority: 2
-  },
-  {
-    phrases: ['screenshot', 'take picture', 'capture', 'photo', 'take photo', 'snap'],
-    key: 'f10',
-    keyCode: 109,
-    description: 'Take screenshot',
-    priority: 2
-  },
-  {
-    phrases: ['wave', 'say hi', 'hello', 'hi there'],
-    key: '5',
-    keyCode: 23,
-    description: 'Wave',
-    priority: 2
-  },
-  {
-    phrases: ['ride on', 'rideon', 'ride-on', 'thumbs up'],
-    key: '6',
-    keyCode: 22,
-    description: 'Ride On!',
-    priority: 2
-  },
-  {
-    phrases: ['hammer', 'hammer time', 'hammertime'],
-    key: '7',
-    keyCode: 26,
-    description: 'Hammer time',
-    priority: 2
-  },
-  {
-    phrases: ['toast', 'cheers', 'drink'],
-    key: '8',
-    keyCode: 28,
-    description: 'Toast',
-    priority: 2
-  },
-  {
-    phrases: ['nice', 'nice one', 'good job'],
-    key: '9',
-    keyCode: 25,
-    description: 'Nice!',
-    priority: 2
-  },
-  {
-    phrases: ['bring it', 'bring it on', 'lets go', "let's go"],
-    key: '0',
-    keyCode: 29,
-    description: 'Bring it!',
-    priority: 2
-  },
-  {
-    phrases: ['skip', 'skip block', 'next block', 'skip workout'],
-    key: 'tab',
-    keyCode: 48,
-    description: 'Skip workout block',
-    priority: 2
-  },
-  {
-    phrases: ['easier', 'bias down', 'reduce', 'lower'],
-    key: 'pagedown',
-    keyCode: 121,
-    description: 'Decrease difficulty',
-    priority: 2
-  },
-  {
-    phrases: ['harder', 'bias up', 'increase', 'raise'],
-    key: 'pageup',
-    keyCode: 116,
-    description: 'Increase difficulty',
-    priority: 2
-  },
-
-  // PRIORITY 3 - CONVENIENCE
-  {
-    phrases: ['menu', 'show menu', 'customize', 'change gear', 'garage', 'pause'],
-    key: 'escape',
-    keyCode: 53,
-    description: 'Open menu',
-    priority: 3
-  },
-  {
-    phrases: ['panoramic view', 'wide view', 'panoramic', 'pan view'],
-    key: '0',
-    keyCode: 29,
-    description: 'Panoramic view',
-    priority: 3
-  },
-  {
-    phrases: ['graph', 'show graph', 'toggle graph', 'stats'],
-    key: 'g',
-    keyCode: 5,
-    description: 'Toggle graph',
-    priority: 3
-  },
-  {
-    phrases: ['hide', 'hide ui', 'clean view', 'minimal'],
-    key: 'h',
-    keyCode: 4,
-    description: 'Hide UI',
-    priority: 3
-  },
-  {
-    phrases: ['fan up', 'increase fan', 'more fan'],
-    key: 'pageup',
-    keyCode: 116,
-    description: 'Fan speed up',
-    priority: 3
-  },
-  {
-    phrases: ['fan down', 'decrease fan', 'less fan'],
-    key: 'pagedown',
-    keyCode: 121,
-    description: 'Fan speed down',
-    priority: 3
-  }
-];
+const {
+  classifyUtterance,
+  classifyAlternatives,
+  matchConfirmation,
+  normalizeTranscript,
+  stripWakeWord
+} = require('./matcher');
+const { getActiveCommands } = require('./catalog');
 
 /**
  * Voice Recognition class using Web Speech API
@@ -307,7 +30,13 @@ class VoiceRecognition extends EventEmitter {
       trainerMode: false,           // Higher threshold for noisy environments
       trainerModeThreshold: 0.80,
       lowConfidenceThreshold: 0.65, // Show "did you mean?" for this range
+      maxRepeat: 5,                 // Cap for spoken repeat counts ("harder 3 times")
       maxAlternatives: 3,
+      wakeWordEnabled: false,       // Only act on commands after the wake word
+      wakeWord: 'zwift',
+      wakeWindowMs: 5000,           // Follow-up window after the wake word
+      confirmationEnabled: true,    // Answer "Did you mean …?" with "yes" / "no"
+      confirmationWindowMs: 4000,
       ...options
     };
 
@@ -319,6 +48,12 @@ class VoiceRecognition extends EventEmitter {
     this.restartAttempts = 0;
     this.maxRestartAttempts = 5;
     this.restartDelay = 1000;
+    this.gateOpenUntil = 0;
+    this.gateTimer = null;
+    this.pendingConfirmation = null;
+    this.confirmationTimer = null;
+    this.ignoreReason = null;       // 'muted' or 'talk-window' while commands are ignored
+    this.commands = options.commands || getActiveCommands();
   }
 
   /**
@@ -347,6 +82,250 @@ class VoiceRecognition extends EventEmitter {
     console.log(`Trainer mode ${enabled ? 'enabled' : 'disabled'} (threshold: ${this.getThreshold()})`);
   }
 
+  /**
+   * Configure wake word gating
+   * @param {boolean} enabled - Require the wake word before commands
+   * @param {string} wakeWord - Wake word or phrase (keeps current if empty)
+   */
+  setWakeWord(enabled, wakeWord) {
+    this.options.wakeWordEnabled = enabled;
+    if (wakeWord && wakeWord.trim()) {
+      this.options.wakeWord = wakeWord.trim();
+    }
+    this._closeGate();
+    console.log(`Wake word ${enabled ? `enabled ("${this.options.wakeWord}")` : 'disabled'}`);
+  }
+
+  /**
+   * Check if commands are currently accepted
+   * Always true when wake word gating is off.
+   * @returns {boolean}
+   */
+  isGateOpen() {
+    return !this.options.wakeWordEnabled || Date.now() < this.gateOpenUntil;
+  }
+
+  /**
+   * Get wake word gate state for display
+   * @returns {object}
+   */
+  getGateState() {
+    return {
+      enabled: this.options.wakeWordEnabled,
+      wakeWord: this.options.wakeWord,
+      open: this.options.wakeWordEnabled && Date.now() < this.gateOpenUntil,
+      openUntil: this.gateOpenUntil
+    };
+  }
+
+  /**
+   * Open (or extend) the follow-up window after the wake word
+   * @private
+   */
+  _openGate() {
+    this.gateOpenUntil = Date.now() + this.options.wakeWindowMs;
+
+    clearTimeout(this.gateTimer);
+    this.gateTimer = setTimeout(() => this._closeGate(), this.options.wakeWindowMs);
+
+    this.emit('gate', this.getGateState());
+  }
+
+  /**
+   * Close the follow-up window
+   * @private
+   */
+  _closeGate() {
+    const wasOpen = this.gateOpenUntil > 0;
+
+    clearTimeout(this.gateTimer);
+    this.gateTimer = null;
+    this.gateOpenUntil = 0;
+
+    if (wasOpen) {
+      this.emit('gate', this.getGateState());
+    }
+  }
+
+  /**
+   * Accept or ignore commands without stopping recognition
+   * Used for mute and the talk window; a pending suggestion is dropped.
+   * @param {boolean} accepting
+   * @param {string} reason - Why commands are ignored ('muted', 'talk-window')
+   */
+  setAccepting(accepting, reason = 'muted') {
+    this.ignoreReason = accepting ? null : reason;
+    if (!accepting) {
+      this._resolveConfirmation('dismissed');
+    }
+  }
+
+  /**
+   * Check whether commands are being accepted
+   * @returns {boolean}
+   */
+  isAccepting() {
+    return this.ignoreReason === null;
+  }
+
+  /**
+   * Apply wake word gating to the recognition alternatives
+   * If any alternative starts with the wake word, only those (with the wake
+   * word removed) are kept.
+   * @param {Array} alternatives - [{ transcript, confidence, index }]
+   * @returns {Array|null} - Alternatives to match, or null if gated
+   * @private
+   */
+  _applyGate(alternatives) {
+    if (!this.options.wakeWordEnabled) {
+      return alternatives;
+    }
+
+    const woken = alternatives
+      .map((alternative) => ({
+        alternative,
+        ...stripWakeWord(normalizeTranscript(alternative.transcript), this.options.wakeWord)
+      }))
+      .filter(({ heard }) => heard);
+
+    if (woken.length > 0) {
+      this._openGate();
+
+      // Wake word on its own just opens the gate
+      const withCommand = woken.filter(({ text }) => text.length > 0);
+      return withCommand.length > 0
+        ? withCommand.map(({ alternative, text }) => ({ ...alternative, transcript: text }))
+        : null;
+    }
+
+    if (!this.isGateOpen()) {
+      const { transcript } = alternatives[0];
+      console.log(`Gated (no wake word): "${transcript}"`);
+      this.emit('gated', { transcript, reason: 'wake-word', wakeWord: this.options.wakeWord });
+      return null;
+    }
+
+    return alternatives;
+  }
+
+  /**
+   * Enable or disable spoken confirmation of suggestions
+   * @param {boolean} enabled
+   */
+  setConfirmationEnabled(enabled) {
+    this.options.confirmationEnabled = enabled;
+    if (!enabled) {
+      this._resolveConfirmation('dismissed');
+    }
+  }
+
+  /**
+   * Get the suggestion currently waiting for "yes" / "no"
+   * @returns {object|null} - { suggestedCommand, transcript, expiresAt } or null
+   */
+  getPendingConfirmation() {
+    if (!this.pendingConfirmation) {
+      return null;
+    }
+
+    const { data, expiresAt } = this.pendingConfirmation;
+    return { suggestedCommand: data.suggestedCommand, transcript: data.transcript, expiresAt };
+  }
+
+  /**
+   * Hold a low-confidence suggestion until the rider confirms it
+   * Replaces any earlier suggestion still waiting.
+   * @param {object} data - lowConfidence data from the matcher
+   * @private
+   */
+  _requestConfirmation(data) {
+    if (!this.options.confirmationEnabled) {
+      return;
+    }
+
+    clearTimeout(this.confirmationTimer);
+
+    const expiresAt = Date.now() + this.options.confirmationWindowMs;
+    this.pendingConfirmation = { data, expiresAt };
+    this.confirmationTimer = setTimeout(
+      () => this._resolveConfirmation('expired'),
+      this.options.confirmationWindowMs
+    );
+
+    this.emit('confirmation', { state: 'pending', ...this.getPendingConfirmation() });
+  }
+
+  /**
+   * Finish the pending confirmation
+   * @param {string} state - 'confirmed', 'dismissed' or 'expired'
+   * @returns {object|null} - The suggestion data, or null if nothing was pending
+   * @private
+   */
+  _resolveConfirmation(state) {
+    if (!this.pendingConfirmation) {
+      return null;
+    }
+
+    const { data } = this.pendingConfirmation;
+
+    clearTimeout(this.confirmationTimer);
+    this.confirmationTimer = null;
+    this.pendingConfirmation = null;
+
+    console.log(`Suggestion "${data.suggestedCommand.description}" ${state}`);
+    this.emit('confirmation', {
+      state,
+      suggestedCommand: data.suggestedCommand,
+      transcript: data.transcript
+    });
+
+    return data;
+  }
+
+  /**
+   * Treat a result as a reply to the pending suggestion, if it is one
+   * Replies skip wake word gating - the suggestion already passed it.
+   * @param {Array} alternatives - [{ transcript, confidence, index }]
+   * @returns {boolean} - True if the result was consumed as a reply
+   * @private
+   */
+  _handleConfirmationReply(alternatives) {
+    if (!this.pendingConfirmation) {
+      return false;
+    }
+
+    const reply = alternatives
+      .map(({ transcript }) => matchConfirmation(transcript))
+      .find(Boolean);
+
+    if (reply === 'deny') {
+      this._resolveConfirmation('dismissed');
+      return true;
+    }
+
+    if (reply === 'confirm') {
+      const { suggestedCommand, ...data } = this._resolveConfirmation('confirmed');
+      this.emit('command', { ...data, command: suggestedCommand, confirmed: true });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get options for the command matcher
+   * @returns {object}
+   * @private
+   */
+  _matchOptions() {
+    return {
+      commands: this.commands,
+      threshold: this.getThreshold(),
+      lowConfidenceThreshold: this.options.lowConfidenceThreshold,
+      maxRepeat: this.options.maxRepeat
+    };
+  }
+
   /**
    * Check if Web Speech API is available
    * @returns {boolean}
@@ -480,132 +459,88 @@ class VoiceRecognition extends EventEmitter {
       return;
     }
 
-    // Get final result with highest confidence
-    let bestTranscript = result[0].transcript;
-    let bestConfidence = result[0].confidence;
+    // Collect every n-best alternative - the second one often matches exactly
+    const alternatives = [];
+    for (let i = 0; i < result.length; i++) {
+      alternatives.push({
+        transcript: result[i].transcript,
+        confidence: result[i].confidence,
+        index: i
+      });
+    }
 
-    // Check alternatives for better matches
-    for (let i = 1; i < result.length; i++) {
-      if (result[i].confidence > bestConfidence) {
-        bestTranscript = result[i].transcript;
-        bestConfidence = result[i].confidence;
-      }
+    alternatives.forEach(({ transcript, confidence, index }) => {
+      console.log(`Heard [${index}]: "${transcript}" (confidence: ${(confidence * 100).toFixed(1)}%)`);
+    });
+
+    // Muted, or the talk window is closed
+    if (!this.isAccepting()) {
+      this.lastTranscript = alternatives[0].transcript;
+      this.lastConfidence = alternatives[0].confidence;
+      console.log(`Ignored (${this.ignoreReason}): "${this.lastTranscript}"`);
+      this.emit('gated', { transcript: this.lastTranscript, reason: this.ignoreReason });
+      return;
+    }
+
+    // "yes" / "no" answers a pending "Did you mean …?"
+    if (this._handleConfirmationReply(alternatives)) {
+      this.lastTranscript = alternatives[0].transcript;
+      this.lastConfidence = alternatives[0].confidence;
+      return;
     }
 
+    // Drop everything outside the wake word window
+    const candidates = this._applyGate(alternatives);
+    if (candidates === null) {
+      this.lastTranscript = alternatives[0].transcript;
+      this.lastConfidence = alternatives[0].confidence;
+      return;
+    }
+
+    // Match all alternatives and raise command / commandBatch / lowConfidence / noMatch
+    // for the best one
+    const { type, data } = classifyAlternatives(candidates, this._matchOptions());
+    this.emit(type, data);
+
+    const chosen = alternatives[data.alternativeIndex];
+    const bestTranscript = chosen.transcript;
+    const bestConfidence = chosen.confidence;
+
     this.lastTranscript = bestTranscript;
     this.lastConfidence = bestConfidence;
 
+    // Keep the follow-up window open while commands keep coming
+    if (this.options.wakeWordEnabled && (type === 'command' || type === 'commandBatch')) {
+      this._openGate();
+    }
+
+    // A new suggestion waits for "yes" / "no"; a real command drops the old one
+    if (type === 'lowConfidence') {
+      this._requestConfirmation(data);
+    } else if (type === 'command' || type === 'commandBatch') {
+      this._resolveConfirmation('dismissed');
+    }
+
     // Log all recognized text for improvement
+    const matchedCommands = data.commands
+      ? data.commands.map((entry) => entry.command)
+      : [data.command || data.suggestedCommand].filter(Boolean);
     const logEntry = {
       timestamp: new Date(),
       transcript: bestTranscript,
       confidence: bestConfidence,
-      matched: null
+      alternativeIndex: data.alternativeIndex,
+      matched: matchedCommands.length > 0
+        ? matchedCommands.map((command) => command.description).join(', ')
+        : null
     };
 
-    // Convert spoken numbers and normalize
-    const normalizedTranscript = convertSpokenNumbers(bestTranscript.toLowerCase().trim());
-
-    console.log(`Heard: "${bestTranscript}" (confidence: ${(bestConfidence * 100).toFixed(1)}%)`);
-
-    // Try to match a command
-    const matchResult = this._matchCommand(normalizedTranscript, bestConfidence);
-
-    if (matchResult) {
-      logEntry.matched = matchResult.command.description;
-
-      if (matchResult.isLowConfidence) {
-        // Low confidence - suggest but don't execute
-        this.emit('lowConfidence', {
-          transcript: bestTranscript,
-          normalizedTranscript,
-          confidence: bestConfidence,
-          suggestedCommand: matchResult.command,
-          matchedPhrase: matchResult.matchedPhrase
-        });
-      } else {
-        // Good confidence - execute command
-        this.emit('command', {
-          transcript: bestTranscript,
-          normalizedTranscript,
-          confidence: bestConfidence,
-          command: matchResult.command,
-          matchedPhrase: matchResult.matchedPhrase
-        });
-      }
-    } else {
-      // No match found
-      this.emit('noMatch', {
-        transcript: bestTranscript,
-        normalizedTranscript,
-        confidence: bestConfidence
-      });
-    }
-
     this.commandLog.unshift(logEntry);
     if (this.commandLog.length > 50) {
       this.commandLog.pop();
     }
   }
 
-  /**
-   * Match transcript to a voice command
-   * @param {string} transcript - Normalized transcript
-   * @param {number} confidence - Recognition confidence
-   * @returns {object|null} - Match result or null
-   * @private
-   */
-  _matchCommand(transcript, confidence) {
-    const threshold = this.getThreshold();
-    const lowThreshold = this.options.lowConfidenceThreshold;
-
-    // Check if confidence is too low even for suggestions
-    if (confidence < lowThreshold) {
-      return null;
-    }
-
-    let bestMatch = null;
-    let bestScore = Infinity;
-    let isLowConfidence = confidence < threshold;
-
-    // Sort commands by priority
-    const sortedCommands = [...VOICE_COMMANDS].sort((a, b) => a.priority - b.priority);
-
-    for (const command of sortedCommands) {
-      for (const phrase of command.phrases) {
-        // Exact match
-        if (transcript === phrase) {
-          return {
-            command,
-            matchedPhrase: phrase,
-            isLowConfidence,
-            score: 0
-          };
-        }
-
-        // Contains match
-        if (transcript.includes(phrase) || phrase.includes(transcript)) {
-          const score = Math.abs(transcript.length - phrase.length);
-          if (score < bestScore) {
-            bestScore = score;
-            bestMatch = { command, matchedPhrase: phrase, isLowConfidence, score };
-          }
-        }
-
-        // Fuzzy match using Levenshtein distance
-        const distance = levenshteinDistance(transcript, phrase);
-        const maxDistance = Math.max(2, Math.floor(phrase.length * 0.3)); // Allow ~30% error
-
-        if (distance <= maxDistance && distance < bestScore) {
-          bestScore = distance;
-          bestMatch = { command, matchedPhrase: phrase, isLowConfidence, score: distance };
-        }
-      }
-    }
-
-    return bestMatch;
-  }
-
   /**
    * Start listening for voice commands
    * @returns {boolean} - Success status
@@ -645,6 +580,8 @@ class VoiceRecognition extends EventEmitter {
     }
 
     this._isListening = false;
+    this._closeGate();
+    this._resolveConfirmation('dismissed');
 
     if (this.recognition) {
       try {
@@ -696,7 +633,18 @@ class VoiceRecognition extends EventEmitter {
    * @returns {Array}
    */
   getCommands() {
-    return VOICE_COMMANDS;
+    return this.commands;
+  }
+
+  /**
+   * Replace the command catalog (after the user catalog is loaded or edited)
+   * A pending confirmation may point at a command that no longer exists.
+   * @param {Array} commands - Validated command definitions
+   */
+  setCommands(commands) {
+    this.commands = commands;
+    this._resolveConfirmation('dismissed');
+    console.log(`Command catalog updated (${commands.length} commands)`);
   }
 
   /**
@@ -707,32 +655,8 @@ class VoiceRecognition extends EventEmitter {
   simulateCommand(transcript, confidence = 0.95) {
     console.log(`Simulating voice command: "${transcript}" (confidence: ${confidence})`);
 
-    const normalizedTranscript = convertSpokenNumbers(transcript.toLowerCase().trim());
-    const matchResult = this._matchCommand(normalizedTranscript, confidence);
-
-    if (matchResult && !matchResult.isLowConfidence) {
-      this.emit('command', {
-        transcript,
-        normalizedTranscript,
-        confidence,
-        command: matchResult.command,
-        matchedPhrase: matchResult.matchedPhrase
-      });
-    } else if (matchResult) {
-      this.emit('lowConfidence', {
-        transcript,
-        normalizedTranscript,
-        confidence,
-        suggestedCommand: matchResult.command,
-        matchedPhrase: matchResult.matchedPhrase
-      });
-    } else {
-      this.emit('noMatch', {
-        transcript,
-        normalizedTranscript,
-        confidence
-      });
-    }
+    const { type, data } = classifyUtterance(transcript, confidence, this._matchOptions());
+    this.emit(type, data);
   }
 }
 
@@ -755,7 +679,6 @@ function getInstance(options = {}) {
 module.exports = {
   VoiceRecognition,
   getInstance,
-  VOICE_COMMANDS,
   start: () => getInstance().start(),
   stop: () => getInstance().stop(),
   isListening: () => getInstance().isListening(),
@@ -764,7 +687,9 @@ module.exports = {
   simulateCommand: (cmd, conf) => getInstance().simulateCommand(cmd, conf),
   setThreshold: (t) => getInstance().setThreshold(t),
   setTrainerMode: (enabled) => getInstance().setTrainerMode(enabled),
+  setAccepting: (accepting, reason) => getInstance().setAccepting(accepting, reason),
   on: (event, callback) => getInstance().on(event, callback),
   off: (event, callback) => getInstance().off(event, callback),
-  getCommands: () => getInstance().getCommands()
+  getCommands: () => getInstance().getCommands(),
+  setCommands: (commands) => getInstance().setCommands(commands)
 };